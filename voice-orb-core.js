@@ -25,6 +25,38 @@ class VoiceOrbCore {
             minVoiceLevel: 0.1,
             maxVoiceLevel: 3,
 
+            // Conversational modes for setMode() - each has an animation segment
+            // ([fromFrame, toFrame], or null for the whole animation) plus the speed and
+            // opacity ranges setVoiceLevel() works within. Entering a mode applies the
+            // lower end of each range
+            modes: {
+                idle: { segment: null, speed: [0.5, 1], opacity: [0.8, 0.9] },
+                listening: { segment: null, speed: [1, 3], opacity: [0.8, 1] },
+                thinking: { segment: null, speed: [1.5, 1.5], opacity: [0.9, 0.9] },
+                speaking: { segment: null, speed: [1, 3], opacity: [0.8, 1] },
+                error: { segment: null, speed: [0.3, 0.3], opacity: [0.4, 0.4] }
+            },
+
+            // Mode transitions keyed 'from->to' ('*' matches any mode). `false` blocks
+            // the transition; `{ segment: [from, to] }` plays once before the new mode,
+            // `{ duration, easing }` tweens speed and opacity into it
+            transitions: {},
+
+            // Spring follower for setVoiceLevel() so noisy input moves smoothly,
+            // e.g. { stiffness: 170 } - damping defaults to critical (no overshoot)
+            voiceSpring: null,
+
+            // How setVoiceLevel() drives each output (speed, opacity, scale, or custom
+            // keys reported in voiceChange). Each entry: { input: [min, max],
+            // output: [min, max], curve: 'linear' | 'log' | 'exp' | 'step' | (t) => t,
+            // deadzone: input units above input min that map to output min, steps }.
+            // Entries replace the default for their output; null disables an output
+            voiceMapping: {},
+
+            // Renderer - 'auto', a name from VoiceOrbCore.renderers or a renderer instance
+            renderer: 'auto',
+            rendererOptions: {},
+
             // Callbacks
             onReady: null,
             onPlay: null,
@@ -32,6 +64,9 @@ class VoiceOrbCore {
             onStop: null,
             onError: null,
             onVoiceChange: null,
+            onModeChange: null,
+            onFrame: null,
+            onSegmentComplete: null,
 
             // Debug
             debug: false,
@@ -46,23 +81,35 @@ class VoiceOrbCore {
             isLooping: true,
             currentSpeed: this.config.defaultSpeed,
             voiceLevel: 1,
-            opacity: 1
+            opacity: 1,
+            scale: 1,
+            mode: null,
+            isTransitioning: false,
+            segment: null
         };
 
-        // Player reference
+        // Player element and the renderer adapter driving it
         this.player = null;
         this.playerId = null;
+        this.renderer = null;
 
         // Event listeners
         this.eventListeners = new Map();
 
+        // Running tweens by property, the voice level spring and their shared frame loop
+        this.tweens = new Map();
+        this.spring = null;
+        this.tweenFrame = null;
+        this.lastTweenTime = 0;
+        this.updateTweens = this.updateTweens.bind(this);
+
         this.log('VoiceOrbCore initialized', this.config);
     }
 
     /**
-     * Initialize the voice orb with a Lottie player
+     * Initialize the voice orb with a player element
      * @param {string|HTMLElement} playerElement - Player element or ID
-     * @param {string} animationSource - Path to Lottie JSON file
+     * @param {string|Object} animationSource - Animation path/URL or Lottie JSON data
      * @returns {Promise<boolean>} Success status
      */
     async init(playerElement, animationSource = null) {
@@ -82,18 +129,17 @@ class VoiceOrbCore {
                 throw new Error('Player element not found');
             }
 
-            // Set animation source if provided
-            if (animationSource) {
-                this.player.src = animationSource;
-            }
-
-            // Set initial properties
-            this.player.loop = this.state.isLooping;
-            this.player.speed = this.state.currentSpeed;
+            this.renderer = VoiceOrbCore.createRenderer(this.player, this.config.renderer, this.config.rendererOptions);
+            this.log('Using renderer:', this.renderer.name);
 
             // Setup event listeners
             this.setupEventListeners();
 
+            // Set initial properties, then the animation source if provided
+            this.renderer.setLoop(this.state.isLooping);
+            this.renderer.setSpeed(this.state.currentSpeed);
+            await this.renderer.load(animationSource);
+
             this.state.isInitialized = true;
             this.log('Voice orb initialized successfully');
 
@@ -103,6 +149,10 @@ class VoiceOrbCore {
             return true;
         } catch (error) {
             this.log('Initialization failed:', error);
+            if (this.renderer) {
+                this.renderer.destroy();
+                this.renderer = null;
+            }
             this.trigger('error', error);
             return false;
         }
@@ -112,24 +162,44 @@ class VoiceOrbCore {
      * Setup internal event listeners
      */
     setupEventListeners() {
-        if (!this.player) return;
-
-        this.player.addEventListener('ready', () => {
-            this.log('Animation ready');
-            this.trigger('ready');
-        });
+        if (!this.renderer) return;
 
-        this.player.addEventListener('complete', () => {
-            if (!this.state.isLooping) {
-                this.state.isPlaying = false;
-                this.trigger('complete');
+        this.renderer.listen((event, data) => {
+            switch (event) {
+                case 'ready':
+                    this.log('Animation ready');
+                    this.trigger('ready');
+                    break;
+                case 'complete':
+                    if (this.state.isTransitioning) {
+                        this.finishTransition();
+                    } else if (this.state.segment) {
+                        this.state.isPlaying = false;
+                        this.trigger('segmentComplete', this.getSegmentEvent(false));
+                    } else if (!this.state.isLooping) {
+                        this.state.isPlaying = false;
+                        this.trigger('complete');
+                    }
+                    break;
+                case 'loopComplete':
+                    if (this.state.segment && !this.state.isTransitioning) {
+                        this.trigger('segmentComplete', this.getSegmentEvent(true));
+                    }
+                    break;
+                case 'frame': {
+                    const totalFrames = this.renderer.getTotalFrames();
+                    this.trigger('frame', {
+                        frame: data,
+                        progress: totalFrames ? data / totalFrames : 0
+                    });
+                    break;
+                }
+                case 'error':
+                    this.log('Animation error:', data);
+                    this.trigger('error', data);
+                    break;
             }
         });
-
-        this.player.addEventListener('error', (error) => {
-            this.log('Animation error:', error);
-            this.trigger('error', error);
-        });
     }
 
     /**
@@ -140,7 +210,7 @@ class VoiceOrbCore {
         if (!this.isReady()) return false;
 
         try {
-            this.player.play();
+            this.renderer.play();
             this.state.isPlaying = true;
             this.log('Animation playing');
             this.trigger('play');
@@ -159,7 +229,7 @@ class VoiceOrbCore {
         if (!this.isReady()) return false;
 
         try {
-            this.player.pause();
+            this.renderer.pause();
             this.state.isPlaying = false;
             this.log('Animation paused');
             this.trigger('pause');
@@ -178,7 +248,7 @@ class VoiceOrbCore {
         if (!this.isReady()) return false;
 
         try {
-            this.player.stop();
+            this.renderer.stop();
             this.state.isPlaying = false;
             this.log('Animation stopped');
             this.trigger('stop');
@@ -192,15 +262,30 @@ class VoiceOrbCore {
     /**
      * Set animation speed
      * @param {number} speed - Animation speed (0.1 - 3)
+     * @param {Object} options - { duration: ms, easing: name or function } to tween
      * @returns {boolean} Success status
      */
-    setSpeed(speed) {
+    setSpeed(speed, options = {}) {
         if (!this.isReady()) return false;
 
         const clampedSpeed = Math.max(this.config.minSpeed, Math.min(this.config.maxSpeed, speed));
 
+        if (options.duration > 0) {
+            return this.tween('speed', this.state.currentSpeed, clampedSpeed, options);
+        }
+
+        this.tweens.delete('speed');
+        return this.applySpeed(clampedSpeed);
+    }
+
+    /**
+     * Apply a speed immediately
+     * @param {number} clampedSpeed - Speed within minSpeed..maxSpeed
+     * @returns {boolean} Success status
+     */
+    applySpeed(clampedSpeed) {
         try {
-            this.player.speed = clampedSpeed;
+            this.renderer.setSpeed(clampedSpeed);
             this.state.currentSpeed = clampedSpeed;
             this.log('Speed set to:', clampedSpeed);
             this.trigger('speedChange', clampedSpeed);
@@ -220,7 +305,7 @@ class VoiceOrbCore {
         if (!this.isReady()) return false;
 
         try {
-            this.player.loop = loop;
+            this.renderer.setLoop(loop);
             this.state.isLooping = loop;
             this.log('Loop set to:', loop);
             this.trigger('loopChange', loop);
@@ -233,30 +318,82 @@ class VoiceOrbCore {
 
     /**
      * Set voice level (affects speed and opacity)
+     * Within a mode, speed and opacity stay inside that mode's ranges. With
+     * `voiceSpring` configured the level follows the input smoothly.
      * @param {number} level - Voice level (0.1 - 3)
+     * @param {Object} options - { duration, easing } to tween, or { immediate: true } to skip the spring
      * @returns {boolean} Success status
      */
-    setVoiceLevel(level) {
+    setVoiceLevel(level, options = {}) {
         if (!this.isReady()) return false;
 
         const clampedLevel = Math.max(this.config.minVoiceLevel, Math.min(this.config.maxVoiceLevel, level));
 
+        if (options.duration > 0) {
+            this.spring = null;
+            return this.tween('voiceLevel', this.state.voiceLevel, clampedLevel, options);
+        }
+
+        this.tweens.delete('voiceLevel');
+
+        if (this.config.voiceSpring && !options.immediate) {
+            if (!this.spring) {
+                this.spring = { value: this.state.voiceLevel, velocity: 0, target: clampedLevel };
+            }
+            this.spring.target = clampedLevel;
+            this.startTweens();
+            return true;
+        }
+
+        this.spring = null;
+        return this.applyVoiceLevel(clampedLevel);
+    }
+
+    /**
+     * Apply a voice level immediately
+     * @param {number} level - Voice level
+     * @returns {boolean} Success status
+     */
+    applyVoiceLevel(level) {
+        const clampedLevel = Math.max(this.config.minVoiceLevel, Math.min(this.config.maxVoiceLevel, level));
+        const mode = this.state.mode ? this.config.modes[this.state.mode] : null;
+        const mapping = this.getVoiceMapping();
+
         try {
-            // Update speed based on voice level
-            this.setSpeed(clampedLevel);
+            // Throws on an unknown curve name, so a typo fails instead of mapping linearly
+            const outputs = {};
+            Object.keys(mapping).forEach((output) => {
+                if (mapping[output]) {
+                    outputs[output] = VoiceOrbCore.mapValue(clampedLevel, mapping[output]);
+                }
+            });
+
+            // A running speed/opacity tween (e.g. a mode transition) finishes before
+            // mapped outputs take over; modes bound them
+            if ('speed' in outputs && !this.tweens.has('speed')) {
+                const [minSpeed, maxSpeed] = mode ? VoiceOrbCore.toRange(mode.speed) : [0, Infinity];
+                outputs.speed = Math.max(minSpeed, Math.min(maxSpeed, outputs.speed));
+                this.setSpeed(outputs.speed);
+            }
 
-            // Update opacity based on voice level
-            const opacity = Math.max(
-                this.config.minOpacity,
-                Math.min(this.config.maxOpacity, clampedLevel / 2)
-            );
-            this.player.style.opacity = opacity;
+            this.renderer.setVoiceLevel(clampedLevel);
+
+            if ('opacity' in outputs && !this.tweens.has('opacity')) {
+                const [minOpacity, maxOpacity] = mode ? VoiceOrbCore.toRange(mode.opacity) : [0, 1];
+                outputs.opacity = Math.max(minOpacity, Math.min(maxOpacity, outputs.opacity));
+                this.renderer.setOpacity(outputs.opacity);
+                this.state.opacity = outputs.opacity;
+            }
+
+            if ('scale' in outputs) {
+                this.renderer.setScale(outputs.scale);
+                this.state.scale = outputs.scale;
+            }
 
             this.state.voiceLevel = clampedLevel;
-            this.state.opacity = opacity;
 
             this.log('Voice level set to:', clampedLevel);
-            this.trigger('voiceChange', { level: clampedLevel, opacity });
+            this.trigger('voiceChange', { level: clampedLevel, opacity: this.state.opacity, outputs });
             return true;
         } catch (error) {
             this.log('Set voice level failed:', error);
@@ -264,18 +401,48 @@ class VoiceOrbCore {
         }
     }
 
+    /**
+     * Get the voice level mapping with defaults filled in
+     * The defaults reproduce speed = level and opacity = level / 2 within minOpacity..maxOpacity.
+     * @returns {Object} Mapping per output
+     */
+    getVoiceMapping() {
+        const { minVoiceLevel, maxVoiceLevel, minOpacity, maxOpacity } = this.config;
+
+        return {
+            speed: { input: [minVoiceLevel, maxVoiceLevel], output: [minVoiceLevel, maxVoiceLevel] },
+            opacity: { input: [minOpacity * 2, maxOpacity * 2], output: [minOpacity, maxOpacity] },
+            ...this.config.voiceMapping
+        };
+    }
+
     /**
      * Set opacity directly
      * @param {number} opacity - Opacity value (0-1)
+     * @param {Object} options - { duration: ms, easing: name or function } to tween
      * @returns {boolean} Success status
      */
-    setOpacity(opacity) {
+    setOpacity(opacity, options = {}) {
         if (!this.isReady()) return false;
 
         const clampedOpacity = Math.max(0, Math.min(1, opacity));
 
+        if (options.duration > 0) {
+            return this.tween('opacity', this.state.opacity, clampedOpacity, options);
+        }
+
+        this.tweens.delete('opacity');
+        return this.applyOpacity(clampedOpacity);
+    }
+
+    /**
+     * Apply an opacity immediately
+     * @param {number} clampedOpacity - Opacity (0-1)
+     * @returns {boolean} Success status
+     */
+    applyOpacity(clampedOpacity) {
         try {
-            this.player.style.opacity = clampedOpacity;
+            this.renderer.setOpacity(clampedOpacity);
             this.state.opacity = clampedOpacity;
             this.log('Opacity set to:', clampedOpacity);
             this.trigger('opacityChange', clampedOpacity);
@@ -286,6 +453,320 @@ class VoiceOrbCore {
         }
     }
 
+    /**
+     * Start tweening a property; replaces any running tween of the same property
+     * @param {string} property - 'speed', 'opacity' or 'voiceLevel'
+     * @param {number} from - Start value
+     * @param {number} to - End value
+     * @param {Object} options - { duration: ms, easing: name from VoiceOrbCore.easings or a function }
+     * @returns {boolean} Success status
+     */
+    tween(property, from, to, { duration, easing = 'easeInOut' }) {
+        const ease = typeof easing === 'function' ? easing : VoiceOrbCore.easings[easing];
+        if (!ease) {
+            this.log('Unknown easing:', easing);
+            return false;
+        }
+
+        this.tweens.set(property, { from, to, duration, ease, startTime: null });
+        this.startTweens();
+        return true;
+    }
+
+    /**
+     * Start the tween frame loop if it isn't running
+     */
+    startTweens() {
+        if (this.tweenFrame) return;
+        this.lastTweenTime = 0;
+        this.tweenFrame = requestAnimationFrame(this.updateTweens);
+    }
+
+    /**
+     * Stop all tweens and the voice level spring where they are
+     */
+    stopTweens() {
+        if (this.tweenFrame) {
+            cancelAnimationFrame(this.tweenFrame);
+            this.tweenFrame = null;
+        }
+        this.tweens.clear();
+        this.spring = null;
+    }
+
+    /**
+     * Tween frame - advance every tween and the spring, then apply their values
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    updateTweens(timestamp) {
+        this.tweenFrame = null;
+        if (!this.isReady()) return;
+
+        // Cap the step so a background tab doesn't kick the spring
+        const elapsed = this.lastTweenTime ? Math.min(timestamp - this.lastTweenTime, 64) / 1000 : 0;
+        this.lastTweenTime = timestamp;
+
+        this.tweens.forEach((tween, property) => {
+            if (tween.startTime === null) {
+                tween.startTime = timestamp;
+            }
+
+            const progress = Math.min(1, (timestamp - tween.startTime) / tween.duration);
+            const value = tween.from + (tween.to - tween.from) * tween.ease(progress);
+            if (progress >= 1) {
+                this.tweens.delete(property);
+            }
+
+            if (property === 'speed') {
+                this.applySpeed(value);
+            } else if (property === 'opacity') {
+                this.applyOpacity(value);
+            } else if (property === 'voiceLevel') {
+                this.applyVoiceLevel(value);
+            }
+        });
+
+        if (this.spring) {
+            const settled = VoiceOrbCore.stepSpring(this.spring, elapsed, this.config.voiceSpring || {});
+            this.applyVoiceLevel(this.spring.value);
+            if (settled) {
+                this.spring = null;
+            }
+        }
+
+        if (this.tweens.size || this.spring) {
+            this.tweenFrame = requestAnimationFrame(this.updateTweens);
+        }
+    }
+
+    /**
+     * Switch conversational mode
+     * Applies the mode's speed and opacity, then plays its segment (after any
+     * transition segment) and emits `modeChange`.
+     * @param {string} mode - 'idle', 'listening', 'thinking', 'speaking', 'error' or a custom mode
+     * @returns {boolean} Success status
+     */
+    setMode(mode) {
+        if (!this.isReady()) return false;
+
+        const modeConfig = this.config.modes[mode];
+        if (!modeConfig) {
+            this.log('Unknown mode:', mode);
+            return false;
+        }
+
+        const from = this.state.mode;
+        if (from === mode) return true;
+
+        const transition = this.getTransition(from, mode);
+        if (transition === false) {
+            this.log('Transition blocked:', from, '->', mode);
+            return false;
+        }
+
+        try {
+            // A transition `duration`/`easing` tweens into the mode's speed and opacity
+            const tweenOptions = transition ? { duration: transition.duration, easing: transition.easing } : {};
+            this.state.mode = mode;
+            this.setSpeed(VoiceOrbCore.toRange(modeConfig.speed)[0], tweenOptions);
+            this.setOpacity(VoiceOrbCore.toRange(modeConfig.opacity)[0], tweenOptions);
+
+            if (transition && transition.segment) {
+                this.state.isTransitioning = true;
+                this.state.segment = transition.segment;
+                this.renderer.playSegment(transition.segment, false);
+            } else {
+                const segment = modeConfig.segment || null;
+                const unchanged = !this.state.isTransitioning && VoiceOrbCore.isSameSegment(this.state.segment, segment);
+                this.state.isTransitioning = false;
+                this.state.segment = segment;
+
+                // Replaying the same range would restart it - carry on from the current frame
+                if (unchanged) {
+                    this.renderer.setLoop(this.state.isLooping);
+                    this.renderer.play();
+                } else {
+                    this.renderer.playSegment(segment, this.state.isLooping);
+                }
+            }
+            this.state.isPlaying = true;
+
+            this.log('Mode set to:', mode);
+            this.trigger('modeChange', { from, to: mode, transition: transition || null });
+            return true;
+        } catch (error) {
+            this.log('Set mode failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the current conversational mode
+     * @returns {string|null} Mode name, or null before setMode() is called
+     */
+    getMode() {
+        return this.state.mode;
+    }
+
+    /**
+     * Whether two segments cover the same frames (null is the whole animation)
+     * @param {number[]|null} a - [fromFrame, toFrame]
+     * @param {number[]|null} b - [fromFrame, toFrame]
+     * @returns {boolean}
+     */
+    static isSameSegment(a, b) {
+        if (!a || !b) return !a && !b;
+        return a[0] === b[0] && a[1] === b[1];
+    }
+
+    /**
+     * Look up the transition between two modes, most specific key first
+     * @param {string|null} from - Current mode
+     * @param {string} to - Next mode
+     * @returns {Object|boolean|null} Transition config, false if blocked, or null
+     */
+    getTransition(from, to) {
+        const transitions = this.config.transitions || {};
+        const keys = [`${from}->${to}`, `${from}->*`, `*->${to}`, '*->*'];
+        const key = keys.find(candidate => candidate in transitions);
+        return key ? transitions[key] : null;
+    }
+
+    /**
+     * Transition segment finished - continue with the mode's own segment
+     */
+    finishTransition() {
+        this.state.isTransitioning = false;
+
+        const modeConfig = this.config.modes[this.state.mode];
+        if (!modeConfig || !this.renderer) return;
+
+        this.state.segment = modeConfig.segment || null;
+        this.renderer.playSegment(this.state.segment, this.state.isLooping);
+    }
+
+    /**
+     * Jump to a frame, or to a progress given as a percentage string
+     * Clears any active segment; keeps playing if the animation was playing.
+     * @param {number|string} position - Frame number, or progress such as '50%'
+     * @returns {boolean} Success status
+     */
+    seek(position) {
+        if (!this.isReady()) return false;
+
+        const totalFrames = this.renderer.getTotalFrames();
+        let frame = position;
+        if (typeof position === 'string' && position.trim().endsWith('%')) {
+            frame = (parseFloat(position) / 100) * totalFrames;
+        }
+        frame = Number(frame);
+
+        if (!isFinite(frame)) {
+            this.log('Invalid seek position:', position);
+            return false;
+        }
+
+        try {
+            frame = Math.max(0, totalFrames ? Math.min(totalFrames, frame) : frame);
+            this.state.isTransitioning = false;
+            this.state.segment = null;
+            this.renderer.seek(frame, this.state.isPlaying);
+            this.log('Seeked to frame:', frame);
+            return true;
+        } catch (error) {
+            this.log('Seek failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Play a frame range, emitting `segmentComplete` each time it finishes
+     * @param {number} from - First frame
+     * @param {number} to - Last frame
+     * @param {Object} options - { loop: false }
+     * @returns {boolean} Success status
+     */
+    playSegment(from, to, { loop = false } = {}) {
+        if (!this.isReady()) return false;
+
+        if (!isFinite(from) || !isFinite(to) || from === to) {
+            this.log('Invalid segment:', from, to);
+            return false;
+        }
+
+        try {
+            this.state.isTransitioning = false;
+            this.state.segment = [from, to];
+            this.renderer.playSegment(this.state.segment, loop);
+            this.state.isPlaying = true;
+            this.log('Playing segment:', from, '-', to, loop ? '(loop)' : '');
+            this.trigger('play');
+            return true;
+        } catch (error) {
+            this.log('Play segment failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Play the frame range of a named Lottie marker
+     * @param {string} name - Marker name
+     * @param {Object} options - { loop: false }
+     * @returns {boolean} Success status
+     */
+    playMarker(name, options = {}) {
+        if (!this.isReady()) return false;
+
+        const marker = this.getMarkers().find(candidate => candidate.name === name);
+        if (!marker) {
+            this.log('Marker not found:', name);
+            return false;
+        }
+
+        return this.playSegment(marker.from, marker.from + marker.duration, options);
+    }
+
+    /**
+     * Get the animation's markers
+     * @returns {Array<{name: string, from: number, duration: number}>} Markers in frames
+     */
+    getMarkers() {
+        return this.isReady() ? this.renderer.getMarkers() : [];
+    }
+
+    /**
+     * Get the animation duration
+     * @param {boolean} inFrames - Return frames instead of seconds
+     * @returns {number} Duration, or 0 if unknown
+     */
+    getDuration(inFrames = false) {
+        if (!this.isReady()) return 0;
+
+        const totalFrames = this.renderer.getTotalFrames();
+        if (inFrames) return totalFrames;
+
+        const frameRate = this.renderer.getFrameRate();
+        return frameRate ? totalFrames / frameRate : 0;
+    }
+
+    /**
+     * Get the current frame
+     * @returns {number} Absolute frame number, or 0 if unknown
+     */
+    getCurrentFrame() {
+        return this.isReady() ? this.renderer.getCurrentFrame() : 0;
+    }
+
+    /**
+     * Build the payload for a `segmentComplete` event
+     * @param {boolean} looped - Whether the segment is looping
+     * @returns {Object} Event data
+     */
+    getSegmentEvent(looped) {
+        const [from, to] = this.state.segment;
+        return { from, to, loop: looped };
+    }
+
     /**
      * Get current state
      * @returns {Object} Current state object
@@ -294,7 +775,9 @@ class VoiceOrbCore {
         return {
             ...this.state,
             isReady: this.isReady(),
-            playerId: this.playerId
+            playerId: this.playerId,
+            renderer: this.renderer ? this.renderer.name : null,
+            currentFrame: this.getCurrentFrame()
         };
     }
 
@@ -320,7 +803,7 @@ class VoiceOrbCore {
      * @returns {boolean} Ready status
      */
     isReady() {
-        return this.state.isInitialized && this.player !== null;
+        return this.state.isInitialized && this.renderer !== null;
     }
 
     /**
@@ -382,15 +865,16 @@ class VoiceOrbCore {
      * Destroy the voice orb instance
      */
     destroy() {
-        if (this.player) {
-            // Remove event listeners
-            this.player.removeEventListener('ready', () => {});
-            this.player.removeEventListener('complete', () => {});
-            this.player.removeEventListener('error', () => {});
+        this.stopTweens();
+
+        if (this.renderer) {
+            // Removes the renderer's own listeners
+            this.renderer.destroy();
         }
 
         // Clear state
         this.state.isInitialized = false;
+        this.renderer = null;
         this.player = null;
         this.playerId = null;
         this.eventListeners.clear();
@@ -399,6 +883,109 @@ class VoiceOrbCore {
         this.trigger('destroy');
     }
 
+    /**
+     * Advance a damped spring towards its target
+     * @param {Object} spring - { value, velocity, target }, updated in place
+     * @param {number} elapsed - Seconds since the last step
+     * @param {Object} options - { stiffness: 170, damping: critical }
+     * @returns {boolean} Whether the spring has settled on its target
+     */
+    static stepSpring(spring, elapsed, { stiffness = 170, damping = null } = {}) {
+        const friction = damping === null ? 2 * Math.sqrt(stiffness) : damping;
+
+        // Fixed small substeps keep stiff springs stable at low frame rates
+        const steps = Math.max(1, Math.ceil(elapsed * 120));
+        const dt = elapsed / steps;
+
+        for (let i = 0; i < steps; i++) {
+            const acceleration = stiffness * (spring.target - spring.value) - friction * spring.velocity;
+            spring.velocity += acceleration * dt;
+            spring.value += spring.velocity * dt;
+        }
+
+        if (Math.abs(spring.target - spring.value) < 0.001 && Math.abs(spring.velocity) < 0.001) {
+            spring.value = spring.target;
+            spring.velocity = 0;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Map a value through a voice mapping entry
+     * @param {number} value - Input value
+     * @param {Object} mapping - { input, output, curve, deadzone, steps }
+     * @returns {number} Output value
+     * @throws {Error} If the curve name is not in VoiceOrbCore.curves (or 'step')
+     */
+    static mapValue(value, { input = [0, 1], output = [0, 1], curve = 'linear', deadzone = 0, steps = 4 } = {}) {
+        const [inMin, inMax] = input;
+        const [outMin, outMax] = output;
+        const start = inMin + deadzone;
+
+        // Normalise to 0..1 past the deadzone
+        let t = inMax > start ? (value - start) / (inMax - start) : (value >= inMax ? 1 : 0);
+        t = Math.max(0, Math.min(1, t));
+
+        let shaped;
+        if (typeof curve === 'function') {
+            shaped = curve(t);
+        } else if (curve === 'step') {
+            shaped = steps > 1 ? Math.min(steps - 1, Math.floor(t * steps)) / (steps - 1) : t;
+        } else if (Object.prototype.hasOwnProperty.call(VoiceOrbCore.curves, curve)) {
+            shaped = VoiceOrbCore.curves[curve](t);
+        } else {
+            throw new Error('Unknown curve: ' + curve);
+        }
+
+        return outMin + (outMax - outMin) * shaped;
+    }
+
+    /**
+     * Normalise a number or [min, max] pair to a [min, max] pair
+     * @param {number|number[]} value - Single value or range
+     * @returns {number[]} Range
+     */
+    static toRange(value) {
+        return Array.isArray(value) ? value : [value, value];
+    }
+
+    /**
+     * Create a renderer adapter for a player element
+     * @param {HTMLElement} element - Player element
+     * @param {string|Object} renderer - 'auto', a registered name or a renderer instance
+     * @param {Object} options - Options for the adapter constructor
+     * @returns {VoiceOrbRenderer} Renderer adapter
+     */
+    static createRenderer(element, renderer = 'auto', options = {}) {
+        if (renderer && typeof renderer === 'object') {
+            return renderer;
+        }
+
+        const name = renderer === 'auto' || !renderer ? VoiceOrbCore.detectRenderer(element) : renderer;
+        const Renderer = VoiceOrbCore.renderers[name];
+        if (!Renderer) {
+            throw new Error('Unknown renderer: ' + name);
+        }
+        return new Renderer(element, options);
+    }
+
+    /**
+     * Pick a renderer name from the element type
+     * @param {HTMLElement} element - Player element
+     * @returns {string} Renderer name
+     */
+    static detectRenderer(element) {
+        const tag = element.tagName.toLowerCase();
+
+        if (tag === 'lottie-player') return 'lottie-player';
+        if (tag === 'video' || tag === 'img') return 'media';
+        if (typeof window !== 'undefined' && tag === 'canvas' && window.DotLottie) return 'dotlottie';
+        if (tag === 'canvas') return 'canvas';
+        if (typeof window !== 'undefined' && window.lottie) return 'lottie-web';
+        return 'lottie-player';
+    }
+
     /**
      * Log helper
      * @param {...any} args - Arguments to log
@@ -410,6 +997,956 @@ class VoiceOrbCore {
     }
 }
 
+/**
+ * Renderer adapter base class
+ * Adapters wrap a player element and expose a common playback surface to VoiceOrbCore.
+ * Subclasses override what their player supports; the rest are no-ops.
+ */
+class VoiceOrbRenderer {
+    constructor(element, options = {}) {
+        this.name = 'base';
+        this.element = element;
+        this.options = options;
+        this.listener = null;
+        this.completeTimer = null;
+    }
+
+    /**
+     * Register the callback that receives renderer events (ready, complete, error)
+     * @param {Function} callback - Called with (event, data)
+     */
+    listen(callback) {
+        this.listener = callback;
+    }
+
+    /**
+     * Forward an event to VoiceOrbCore
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data = null) {
+        if (this.listener) {
+            this.listener(event, data);
+        }
+    }
+
+    /**
+     * Load an animation source
+     * @param {string|Object} source - Path/URL or animation data
+     * @returns {Promise<void>|void}
+     */
+    load(source) {}
+
+    play() {}
+
+    pause() {}
+
+    stop() {}
+
+    setSpeed(speed) {}
+
+    setLoop(loop) {}
+
+    setVoiceLevel(level) {}
+
+    /**
+     * Play a frame range, or the whole animation when segment is null
+     * Renderers without frames just play, and finish a one-shot segment on the
+     * next tick so transitions and segmentComplete still fire.
+     * @param {number[]|null} segment - [fromFrame, toFrame]
+     * @param {boolean} loop - Whether to loop the range
+     */
+    playSegment(segment, loop) {
+        this.setLoop(loop);
+        this.play();
+
+        clearTimeout(this.completeTimer);
+        this.completeTimer = null;
+        if (segment && !loop) {
+            this.completeTimer = setTimeout(() => {
+                this.completeTimer = null;
+                this.emit('complete');
+            }, 0);
+        }
+    }
+
+    /**
+     * Jump to an absolute frame and clear any segment
+     * @param {number} frame - Frame number
+     * @param {boolean} play - Keep playing after the jump
+     */
+    seek(frame, play) {
+        clearTimeout(this.completeTimer);
+        this.completeTimer = null;
+    }
+
+    getTotalFrames() {
+        return 0;
+    }
+
+    getFrameRate() {
+        return 0;
+    }
+
+    getCurrentFrame() {
+        return 0;
+    }
+
+    /**
+     * @returns {Array<{name: string, from: number, duration: number}>} Markers in frames
+     */
+    getMarkers() {
+        return [];
+    }
+
+    setOpacity(opacity) {
+        this.element.style.opacity = opacity;
+    }
+
+    setScale(scale) {
+        this.element.style.transform = 'scale(' + scale + ')';
+    }
+
+    /**
+     * Release the player and remove listeners
+     */
+    destroy() {
+        clearTimeout(this.completeTimer);
+        this.completeTimer = null;
+        this.listener = null;
+    }
+}
+
+/**
+ * Adapter for the <lottie-player> web component
+ */
+class LottiePlayerRenderer extends VoiceOrbRenderer {
+    constructor(element, options = {}) {
+        super(element, options);
+        this.name = 'lottie-player';
+
+        this.handleReady = () => this.emit('ready');
+        this.handleComplete = () => this.emit('complete');
+        this.handleLoop = () => this.emit('loopComplete');
+        this.handleFrame = () => this.emit('frame', this.getCurrentFrame());
+        this.handleError = (error) => this.emit('error', error);
+
+        element.addEventListener('ready', this.handleReady);
+        element.addEventListener('complete', this.handleComplete);
+        element.addEventListener('loop', this.handleLoop);
+        element.addEventListener('frame', this.handleFrame);
+        element.addEventListener('error', this.handleError);
+    }
+
+    /**
+     * The player's underlying lottie-web animation, once loaded
+     * @returns {Object|null} AnimationItem
+     */
+    getAnimation() {
+        return typeof this.element.getLottie === 'function' ? this.element.getLottie() || null : null;
+    }
+
+    load(source) {
+        if (!source) return;
+        this.element.src = typeof source === 'string' ? source : JSON.stringify(source);
+    }
+
+    play() {
+        this.element.play();
+    }
+
+    pause() {
+        this.element.pause();
+    }
+
+    stop() {
+        this.element.stop();
+    }
+
+    setSpeed(speed) {
+        this.element.speed = speed;
+    }
+
+    setLoop(loop) {
+        this.element.loop = loop;
+    }
+
+    playSegment(segment, loop) {
+        // Segments go through the underlying lottie-web animation
+        const animation = this.getAnimation();
+        this.setLoop(loop);
+
+        if (!animation) {
+            this.play();
+            return;
+        }
+
+        LottieWebRenderer.playAnimationSegment(animation, segment, loop);
+    }
+
+    seek(frame, play) {
+        const animation = this.getAnimation();
+        if (animation) {
+            LottieWebRenderer.seekAnimation(animation, frame, play);
+        }
+    }
+
+    getTotalFrames() {
+        const animation = this.getAnimation();
+        return animation ? LottieWebRenderer.getAnimationTotalFrames(animation) : 0;
+    }
+
+    getFrameRate() {
+        const animation = this.getAnimation();
+        return animation ? animation.frameRate || 0 : 0;
+    }
+
+    getCurrentFrame() {
+        const animation = this.getAnimation();
+        return animation ? LottieWebRenderer.getAnimationFrame(animation) : 0;
+    }
+
+    getMarkers() {
+        const animation = this.getAnimation();
+        return animation ? LottieWebRenderer.getAnimationMarkers(animation) : [];
+    }
+
+    destroy() {
+        this.element.removeEventListener('ready', this.handleReady);
+        this.element.removeEventListener('complete', this.handleComplete);
+        this.element.removeEventListener('loop', this.handleLoop);
+        this.element.removeEventListener('frame', this.handleFrame);
+        this.element.removeEventListener('error', this.handleError);
+        super.destroy();
+    }
+}
+
+/**
+ * Adapter for lottie-web's loadAnimation() rendering into a container element
+ * Options: `lottie` (defaults to window.lottie), `renderer` ('svg', 'canvas' or 'html')
+ */
+class LottieWebRenderer extends VoiceOrbRenderer {
+    constructor(element, options = {}) {
+        super(element, options);
+        this.name = 'lottie-web';
+        this.lottie = options.lottie || (typeof window !== 'undefined' ? window.lottie : null);
+        this.animation = null;
+        this.speed = 1;
+        this.loop = true;
+
+        if (!this.lottie || typeof this.lottie.loadAnimation !== 'function') {
+            throw new Error('lottie-web not found. Please include lottie.js or pass options.lottie');
+        }
+
+        this.handleReady = () => this.emit('ready');
+        this.handleComplete = () => this.emit('complete');
+        this.handleLoop = () => this.emit('loopComplete');
+        this.handleFrame = () => this.emit('frame', this.getCurrentFrame());
+        this.handleError = (error) => this.emit('error', error);
+    }
+
+    load(source) {
+        if (!source) return;
+
+        if (this.animation) {
+            this.animation.destroy();
+        }
+
+        this.animation = this.lottie.loadAnimation({
+            container: this.element,
+            renderer: this.options.renderer || 'svg',
+            loop: this.loop,
+            autoplay: false,
+            ...(typeof source === 'string' ? { path: source } : { animationData: source })
+        });
+        this.animation.setSpeed(this.speed);
+
+        this.animation.addEventListener('DOMLoaded', this.handleReady);
+        this.animation.addEventListener('complete', this.handleComplete);
+        this.animation.addEventListener('loopComplete', this.handleLoop);
+        this.animation.addEventListener('enterFrame', this.handleFrame);
+        this.animation.addEventListener('data_failed', this.handleError);
+    }
+
+    play() {
+        if (this.animation) this.animation.play();
+    }
+
+    pause() {
+        if (this.animation) this.animation.pause();
+    }
+
+    stop() {
+        if (this.animation) this.animation.stop();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.animation) this.animation.setSpeed(speed);
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        if (this.animation) this.animation.loop = loop;
+    }
+
+    playSegment(segment, loop) {
+        this.setLoop(loop);
+        if (this.animation) {
+            LottieWebRenderer.playAnimationSegment(this.animation, segment, loop);
+        }
+    }
+
+    seek(frame, play) {
+        if (this.animation) {
+            LottieWebRenderer.seekAnimation(this.animation, frame, play);
+        }
+    }
+
+    getTotalFrames() {
+        return this.animation ? LottieWebRenderer.getAnimationTotalFrames(this.animation) : 0;
+    }
+
+    getFrameRate() {
+        return this.animation ? this.animation.frameRate || 0 : 0;
+    }
+
+    getCurrentFrame() {
+        return this.animation ? LottieWebRenderer.getAnimationFrame(this.animation) : 0;
+    }
+
+    getMarkers() {
+        return this.animation ? LottieWebRenderer.getAnimationMarkers(this.animation) : [];
+    }
+
+    destroy() {
+        if (this.animation) {
+            this.animation.removeEventListener('DOMLoaded', this.handleReady);
+            this.animation.removeEventListener('complete', this.handleComplete);
+            this.animation.removeEventListener('loopComplete', this.handleLoop);
+            this.animation.removeEventListener('enterFrame', this.handleFrame);
+            this.animation.removeEventListener('data_failed', this.handleError);
+            this.animation.destroy();
+            this.animation = null;
+        }
+        super.destroy();
+    }
+
+    /**
+     * Play a segment (or the whole animation) on a lottie-web AnimationItem
+     * @param {Object} animation - AnimationItem
+     * @param {number[]|null} segment - [fromFrame, toFrame]
+     * @param {boolean} loop - Whether to loop
+     */
+    static playAnimationSegment(animation, segment, loop) {
+        animation.loop = loop;
+        if (segment) {
+            animation.playSegments(segment, true);
+            return;
+        }
+
+        // A forced reset jumps to frame 0, so only reset an active segment and keep the frame
+        if (LottieWebRenderer.hasActiveSegment(animation)) {
+            const frame = LottieWebRenderer.getAnimationFrame(animation);
+            animation.resetSegments(true);
+            animation.goToAndPlay(frame, true);
+        } else {
+            animation.play();
+        }
+    }
+
+    /**
+     * @param {Object} animation - AnimationItem
+     * @returns {boolean} Whether playback is limited to part of the animation
+     */
+    static hasActiveSegment(animation) {
+        const data = animation.animationData;
+        const firstFrame = (data && data.ip) || 0;
+        return (animation.firstFrame || 0) !== firstFrame ||
+            (animation.totalFrames || 0) !== LottieWebRenderer.getAnimationTotalFrames(animation);
+    }
+
+    /**
+     * Jump to an absolute frame on a lottie-web AnimationItem
+     * goToAndStop() is relative to the active segment, so segments are reset first.
+     * @param {Object} animation - AnimationItem
+     * @param {number} frame - Frame number
+     * @param {boolean} play - Keep playing after the jump
+     */
+    static seekAnimation(animation, frame, play) {
+        animation.resetSegments(true);
+        if (play) {
+            animation.goToAndPlay(frame, true);
+        } else {
+            animation.goToAndStop(frame, true);
+        }
+    }
+
+    /**
+     * @param {Object} animation - AnimationItem
+     * @returns {number} Frames in the whole animation, not just the active segment
+     */
+    static getAnimationTotalFrames(animation) {
+        const data = animation.animationData;
+        return data && isFinite(data.op) ? data.op - (data.ip || 0) : animation.totalFrames || 0;
+    }
+
+    /**
+     * @param {Object} animation - AnimationItem
+     * @returns {number} Absolute frame - currentFrame is relative to the segment start
+     */
+    static getAnimationFrame(animation) {
+        return (animation.firstFrame || 0) + (animation.currentFrame || 0);
+    }
+
+    /**
+     * Read markers from an AnimationItem, falling back to the raw Lottie JSON
+     * @param {Object} animation - AnimationItem
+     * @returns {Array<{name: string, from: number, duration: number}>} Markers in frames
+     */
+    static getAnimationMarkers(animation) {
+        if (animation.markers && animation.markers.length) {
+            return animation.markers.map(marker => ({
+                name: marker.payload ? marker.payload.name : marker.name,
+                from: marker.time,
+                duration: marker.duration
+            }));
+        }
+
+        const data = animation.animationData;
+        return ((data && data.markers) || []).map(marker => ({
+            name: marker.cm,
+            from: marker.tm,
+            duration: marker.dr
+        }));
+    }
+}
+
+/**
+ * Adapter for the dotLottie player (@lottiefiles/dotlottie-web) rendering into a <canvas>
+ * Options: `DotLottie` (defaults to window.DotLottie), plus any extra DotLottie config
+ */
+class DotLottieRenderer extends VoiceOrbRenderer {
+    constructor(element, options = {}) {
+        super(element, options);
+        this.name = 'dotlottie';
+        this.DotLottie = options.DotLottie || (typeof window !== 'undefined' ? window.DotLottie : null);
+        this.player = null;
+        this.speed = 1;
+        this.loop = true;
+        this.segment = null;
+
+        if (typeof this.DotLottie !== 'function') {
+            throw new Error('DotLottie not found. Please include @lottiefiles/dotlottie-web or pass options.DotLottie');
+        }
+
+        this.handleReady = () => this.emit('ready');
+        this.handleComplete = () => this.emit('complete');
+        this.handleLoop = () => this.emit('loopComplete');
+        this.handleFrame = (event) => this.emit('frame', event.currentFrame);
+        this.handleError = (error) => this.emit('error', error);
+    }
+
+    load(source) {
+        if (!source) return;
+
+        if (this.player) {
+            this.player.destroy();
+        }
+
+        const { DotLottie, ...config } = this.options;
+        this.segment = null;
+        this.player = new this.DotLottie({
+            ...config,
+            canvas: this.element,
+            loop: this.loop,
+            speed: this.speed,
+            autoplay: false,
+            ...(typeof source === 'string' ? { src: source } : { data: source })
+        });
+
+        this.player.addEventListener('load', this.handleReady);
+        this.player.addEventListener('complete', this.handleComplete);
+        this.player.addEventListener('loop', this.handleLoop);
+        this.player.addEventListener('frame', this.handleFrame);
+        this.player.addEventListener('loadError', this.handleError);
+    }
+
+    play() {
+        if (this.player) this.player.play();
+    }
+
+    pause() {
+        if (this.player) this.player.pause();
+    }
+
+    stop() {
+        if (this.player) this.player.stop();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.player) this.player.setSpeed(speed);
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        if (this.player) this.player.setLoop(loop);
+    }
+
+    playSegment(segment, loop) {
+        this.setLoop(loop);
+        if (!this.player) return;
+
+        if (segment) {
+            this.player.setSegment(segment[0], segment[1]);
+            this.player.stop();
+        } else if (this.segment && this.player.totalFrames) {
+            // Widen back to the whole animation without stop(), which would rewind
+            this.player.setSegment(0, this.player.totalFrames - 1);
+        }
+        this.segment = segment;
+        this.player.play();
+    }
+
+    seek(frame, play) {
+        if (!this.player) return;
+
+        if (this.player.totalFrames) {
+            this.player.setSegment(0, this.player.totalFrames - 1);
+        }
+        this.segment = null;
+        this.player.setFrame(frame);
+        if (play) {
+            this.player.play();
+        } else {
+            this.player.pause();
+        }
+    }
+
+    getTotalFrames() {
+        return this.player ? this.player.totalFrames || 0 : 0;
+    }
+
+    getFrameRate() {
+        if (!this.player || !this.player.duration) return 0;
+        return this.player.totalFrames / this.player.duration;
+    }
+
+    getCurrentFrame() {
+        return this.player ? this.player.currentFrame || 0 : 0;
+    }
+
+    getMarkers() {
+        if (!this.player || typeof this.player.markers !== 'function') return [];
+
+        return this.player.markers().map(marker => ({
+            name: marker.name,
+            from: marker.time,
+            duration: marker.duration
+        }));
+    }
+
+    destroy() {
+        if (this.player) {
+            this.player.removeEventListener('load', this.handleReady);
+            this.player.removeEventListener('complete', this.handleComplete);
+            this.player.removeEventListener('loop', this.handleLoop);
+            this.player.removeEventListener('frame', this.handleFrame);
+            this.player.removeEventListener('loadError', this.handleError);
+            this.player.destroy();
+            this.player = null;
+        }
+        super.destroy();
+    }
+}
+
+/**
+ * Fallback adapter for a <video> (e.g. the bundled MP4) or <img> (the bundled GIF)
+ * Images can't pause or change speed, so those calls are ignored.
+ * Video frames are derived from `options.frameRate` (default 29.97, as exported).
+ */
+class MediaRenderer extends VoiceOrbRenderer {
+    constructor(element, options = {}) {
+        super(element, options);
+        this.name = 'media';
+        this.isVideo = element.tagName.toLowerCase() === 'video';
+        this.frameRate = options.frameRate || 29.97;
+        this.loop = true;
+        this.segment = null;
+        this.segmentLoop = false;
+
+        this.handleReady = () => this.emit('ready');
+        this.handleComplete = () => this.emit('complete');
+        this.handleError = (error) => this.emit('error', error);
+        this.handleTimeUpdate = () => this.updateSegment();
+
+        element.addEventListener(this.isVideo ? 'loadeddata' : 'load', this.handleReady);
+        element.addEventListener('error', this.handleError);
+
+        if (this.isVideo) {
+            // Autoplay policies only allow muted inline playback without a gesture
+            element.muted = true;
+            element.playsInline = true;
+            element.addEventListener('ended', this.handleComplete);
+            element.addEventListener('timeupdate', this.handleTimeUpdate);
+        }
+    }
+
+    /**
+     * Emit the current frame and enforce the segment end
+     * timeupdate fires a few times a second, so segment ends are approximate.
+     */
+    updateSegment() {
+        const frame = this.getCurrentFrame();
+
+        if (this.segment && frame >= this.segment[1]) {
+            if (this.segmentLoop) {
+                this.element.currentTime = this.segment[0] / this.frameRate;
+                this.emit('loopComplete');
+            } else {
+                this.element.pause();
+                this.segment = null;
+                this.emit('complete');
+            }
+        }
+
+        this.emit('frame', frame);
+    }
+
+    load(source) {
+        if (!source) return;
+        this.element.src = source;
+    }
+
+    play() {
+        if (!this.isVideo) return;
+        const playing = this.element.play();
+        if (playing && typeof playing.catch === 'function') {
+            playing.catch(this.handleError);
+        }
+    }
+
+    pause() {
+        if (this.isVideo) this.element.pause();
+    }
+
+    stop() {
+        if (!this.isVideo) return;
+        this.element.pause();
+        this.element.currentTime = 0;
+    }
+
+    setSpeed(speed) {
+        if (this.isVideo) this.element.playbackRate = speed;
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        // Segments loop themselves - native looping would run past their end
+        if (this.isVideo) this.element.loop = loop && !this.segment;
+    }
+
+    playSegment(segment, loop) {
+        // Images have no frames
+        if (!this.isVideo) {
+            super.playSegment(segment, loop);
+            return;
+        }
+
+        this.segment = segment;
+        this.segmentLoop = loop;
+        if (segment) {
+            this.element.loop = false;
+            this.element.currentTime = segment[0] / this.frameRate;
+        } else {
+            this.setLoop(loop);
+        }
+        this.play();
+    }
+
+    seek(frame, play) {
+        if (!this.isVideo) return;
+
+        this.segment = null;
+        this.setLoop(this.loop);
+        this.element.currentTime = frame / this.frameRate;
+        if (play) {
+            this.play();
+        } else {
+            this.element.pause();
+        }
+    }
+
+    getTotalFrames() {
+        return this.isVideo && isFinite(this.element.duration) ? Math.round(this.element.duration * this.frameRate) : 0;
+    }
+
+    getFrameRate() {
+        return this.isVideo ? this.frameRate : 0;
+    }
+
+    getCurrentFrame() {
+        return this.isVideo ? this.element.currentTime * this.frameRate : 0;
+    }
+
+    destroy() {
+        this.element.removeEventListener(this.isVideo ? 'loadeddata' : 'load', this.handleReady);
+        this.element.removeEventListener('error', this.handleError);
+        if (this.isVideo) {
+            this.element.removeEventListener('ended', this.handleComplete);
+            this.element.removeEventListener('timeupdate', this.handleTimeUpdate);
+        }
+        super.destroy();
+    }
+}
+
+/**
+ * Dependency-free procedural orb drawn on a <canvas>
+ * Layered gradient blobs rotate and pulse; speed scales time and voice level drives the pulse.
+ * Pass a <canvas>, or any other element to get a canvas appended to it.
+ */
+class CanvasOrbRenderer extends VoiceOrbRenderer {
+    constructor(element, options = {}) {
+        super(element, options);
+        this.name = 'canvas';
+
+        this.options = {
+            colors: ['#3a7bff', '#8f5bff', '#28c8ff', '#ff5fd2'], // Hex, outermost first
+            background: null,
+            rotationSpeed: 0.6,  // Radians per second at speed 1
+            pulseRate: 1.2,      // Pulses per second at speed 1
+            pulseAmount: 0.05,   // Idle pulse as a fraction of the radius
+            voicePulseAmount: 0.12, // Extra pulse at voice level 3
+            wobble: 0.08,        // Blob edge deformation
+            ...options
+        };
+
+        if (element.tagName.toLowerCase() === 'canvas') {
+            this.canvas = element;
+            this.ownsCanvas = false;
+        } else {
+            this.canvas = document.createElement('canvas');
+            this.canvas.style.width = '100%';
+            this.canvas.style.height = '100%';
+            this.canvas.style.display = 'block';
+            element.appendChild(this.canvas);
+            this.ownsCanvas = true;
+        }
+
+        this.context = this.canvas.getContext('2d');
+        if (!this.context) {
+            throw new Error('Canvas 2D context not available');
+        }
+
+        this.time = 0;
+        this.speed = 1;
+        this.voiceLevel = 0;
+        this.isPlaying = false;
+        this.animationId = null;
+        this.lastFrameTime = 0;
+
+        // Each blob orbits the centre with its own phase, size and deformation
+        this.blobs = this.options.colors.map((color, index) => ({
+            rgb: CanvasOrbRenderer.hexToRgb(color),
+            radius: 0.62 - index * 0.06,
+            orbit: 0.05 + index * 0.025,
+            phase: (index / this.options.colors.length) * Math.PI * 2,
+            direction: index % 2 === 0 ? 1 : -1,
+            lobes: 3 + index
+        }));
+
+        this.render = this.render.bind(this);
+    }
+
+    load(source) {
+        // Procedural - there is nothing to load, so draw the first frame and report ready
+        this.draw();
+        this.emit('ready');
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+        this.lastFrameTime = 0;
+        this.animationId = requestAnimationFrame(this.render);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    stop() {
+        this.pause();
+        this.time = 0;
+        this.draw();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    setVoiceLevel(level) {
+        this.voiceLevel = level;
+        if (!this.isPlaying) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Animation frame - advance time by the playback speed and redraw
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    render(timestamp) {
+        if (!this.isPlaying) return;
+
+        if (this.lastFrameTime) {
+            // Cap the step so a background tab doesn't jump the animation
+            const elapsed = Math.min(timestamp - this.lastFrameTime, 100) / 1000;
+            this.time += elapsed * this.speed;
+        }
+        this.lastFrameTime = timestamp;
+
+        this.draw();
+        this.animationId = requestAnimationFrame(this.render);
+    }
+
+    /**
+     * Match the canvas backing store to its displayed size
+     */
+    resize() {
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = Math.round((this.canvas.clientWidth || this.canvas.width) * ratio);
+        const height = Math.round((this.canvas.clientHeight || this.canvas.height) * ratio);
+
+        if (width && height && (this.canvas.width !== width || this.canvas.height !== height)) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    /**
+     * Draw one frame of the orb at the current time
+     */
+    draw() {
+        this.resize();
+
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const size = Math.min(width, height) / 2;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const options = this.options;
+
+        ctx.clearRect(0, 0, width, height);
+        if (options.background) {
+            ctx.fillStyle = options.background;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        const pulse = Math.sin(this.time * options.pulseRate * Math.PI * 2);
+        const voice = Math.min(1, this.voiceLevel / 3);
+        const scale = 1 + pulse * options.pulseAmount + voice * options.voicePulseAmount;
+        const rotation = this.time * options.rotationSpeed;
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+
+        this.blobs.forEach((blob) => {
+            const angle = rotation * blob.direction + blob.phase;
+            const x = centerX + Math.cos(angle) * blob.orbit * size;
+            const y = centerY + Math.sin(angle) * blob.orbit * size;
+            const radius = blob.radius * size * scale;
+
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, `rgba(${blob.rgb}, 1)`);
+            gradient.addColorStop(0.6, `rgba(${blob.rgb}, 0.5)`);
+            gradient.addColorStop(1, `rgba(${blob.rgb}, 0)`);
+            ctx.fillStyle = gradient;
+
+            ctx.beginPath();
+            for (let step = 0; step <= 64; step++) {
+                const theta = (step / 64) * Math.PI * 2;
+                const deform = 1 + options.wobble * (1 + voice) *
+                    Math.sin(theta * blob.lobes + this.time * 2 * blob.direction + blob.phase);
+                const px = x + Math.cos(theta) * radius * deform;
+                const py = y + Math.sin(theta) * radius * deform;
+                if (step === 0) {
+                    ctx.moveTo(px, py);
+                } else {
+                    ctx.lineTo(px, py);
+                }
+            }
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Convert '#rgb' or '#rrggbb' to an 'r, g, b' string for rgba()
+     * @param {string} hex - Hex colour
+     * @returns {string} Comma-separated channels
+     */
+    static hexToRgb(hex) {
+        let value = hex.replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        const number = parseInt(value, 16);
+        return [(number >> 16) & 255, (number >> 8) & 255, number & 255].join(', ');
+    }
+
+    destroy() {
+        this.pause();
+        if (this.ownsCanvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+        super.destroy();
+    }
+}
+
+// Easing functions for tweens - progress 0..1 in, eased progress out
+VoiceOrbCore.easings = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+// Voice mapping curves - normalised input 0..1 in, 0..1 out ('step' uses the entry's `steps`)
+VoiceOrbCore.curves = {
+    linear: t => t,
+    log: t => Math.log10(1 + 9 * t),        // Responsive to quiet input
+    exp: t => (Math.pow(10, t) - 1) / 9      // Reserves the range for loud input
+};
+VoiceOrbCore.curves.logarithmic = VoiceOrbCore.curves.log;
+VoiceOrbCore.curves.exponential = VoiceOrbCore.curves.exp;
+
+VoiceOrbCore.VoiceOrbRenderer = VoiceOrbRenderer;
+VoiceOrbCore.LottiePlayerRenderer = LottiePlayerRenderer;
+VoiceOrbCore.LottieWebRenderer = LottieWebRenderer;
+VoiceOrbCore.DotLottieRenderer = DotLottieRenderer;
+VoiceOrbCore.MediaRenderer = MediaRenderer;
+VoiceOrbCore.CanvasOrbRenderer = CanvasOrbRenderer;
+
+// Renderer adapters by name - register custom adapters here
+VoiceOrbCore.renderers = {
+    'lottie-player': LottiePlayerRenderer,
+    'lottie-web': LottieWebRenderer,
+    'dotlottie': DotLottieRenderer,
+    'media': MediaRenderer,
+    'canvas': CanvasOrbRenderer
+};
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VoiceOrbCore;
@@ -417,6 +1954,7 @@ if (typeof module !== 'undefined' && module.exports) {
 
 if (typeof window !== 'undefined') {
     window.VoiceOrbCore = VoiceOrbCore;
+    window.VoiceOrbRenderer = VoiceOrbRenderer;
 }
 
 // AMD support
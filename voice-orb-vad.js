@@ -13,14 +13,93 @@ class VoiceActivityDetector {
         this.config = {
             // VAD settings
             threshold: 0.01,
+            thresholdDb: null,
+            // Hysteresis as dB offsets from the current threshold - follows thresholdDb,
+            // calibrate() and the adaptive noise floor (e.g. +3 to start, -6 to keep speaking)
+            startOffsetDb: null,
+            endOffsetDb: null,
+            startThreshold: null, // Fixed level needed to start speech - overrides startOffsetDb
+            endThreshold: null,   // Fixed level needed to keep speaking - overrides endOffsetDb
             minDuration: 150,
             maxSilence: 800,
             sensitivity: 0.6,
-            smoothing: 0.85,
+            smoothing: 0.85, // Weight kept per 60 fps frame - scaled to the real frame interval
+
+            // Level metering
+            levelMetric: 'spectral',
+            minDb: -60,
+
+            // Detection mode - 'energy' (level only) or 'spectral' (level + speech features)
+            // Selects the built-in engine when no custom engine is set via useEngine()
+            detectionMode: 'energy',
+            probabilityThreshold: 0.5,
+
+            // Manual gate for push-to-talk - null (VAD only), 'manual' (speech exactly
+            // while the gate is open) or 'manualVad' (VAD runs only while open)
+            gateMode: null,
+            endProbabilityThreshold: null, // null uses probabilityThreshold
+            speechBand: [300, 3400],
+            minSpeechBandRatio: 0.3,
+            maxSpectralFlatness: 0.45,
+            maxZeroCrossingRate: 0.25,
+
+            // Timbre features on every frame - band energies, centroid and flux
+            timbreFeatures: true,
+            bandSplits: [400, 2000], // Hz - low/mid and mid/high boundaries
+
+            // Pitch (F0) estimation - YIN over a window of at least 2048 samples
+            // (two periods of minPitch), independent of fftSize and hopSize
+            pitchDetection: false,
+            minPitch: 70,
+            maxPitch: 500,
+            pitchThreshold: 0.15,
+
+            // Noise floor - calibrate() and the adaptive tracker set the threshold
+            // this many dB above the measured floor
+            noiseMarginDb: 10,
+            adaptiveNoiseFloor: false,
+            noiseFloorRiseTime: 4000,
+            noiseFloorFallTime: 400,
+
+            // Input device
+            deviceId: null, // null uses the default microphone
+            audioConstraints: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            },
+            autoRecover: true, // Fall back to the default microphone when the device is lost
+            rejectOnError: false, // connect()/switchDevice() reject with a VoiceActivityError instead of resolving false
+
+            // Barge-in - compares the mic against the assistant's playback (see enableBargeIn)
+            bargeInMarginDb: 6,       // How far above the expected echo the mic must be
+            bargeInMinDuration: 200,
+            referenceSilenceDb: -50,  // Reference quieter than this counts as not playing
+            initialEchoGainDb: 0,     // Starting estimate of speaker-to-mic coupling
+            echoRiseTime: 2000,
+            echoFallTime: 200,
+            echoTailDecayDb: 60,      // dB per second - covers speaker-to-mic latency
 
             // Audio settings
             fftSize: 256,
-            sampleRate: 44100,
+            sampleRate: null, // null uses the device rate
+
+            // Analysis loop - 'frame' (requestAnimationFrame) or 'audio' (AudioWorklet,
+            // falling back to ScriptProcessor) which keeps running in background tabs
+            analysisMode: 'frame',
+            hopSize: 1024,
+
+            // Utterance capture - emits an `utterance` event with the PCM of each segment
+            captureUtterances: false,
+            preRollMs: 300,
+            postRollMs: 200,
+            maxUtteranceMs: 30000,
+
+            // Compressed per-utterance recording via MediaRecorder - emits `recording`.
+            // Uses preRollMs/postRollMs; the first supported MIME type is used
+            recordUtterances: false,
+            recorderMimeTypes: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'],
+            recorderBitsPerSecond: null,
 
             // Callbacks
             onVoiceStart: null,
@@ -38,8 +117,32 @@ class VoiceActivityDetector {
         this.state = {
             isActive: false,
             isVoiceDetected: false,
+            vadState: 'silence', // 'silence' | 'pendingStart' | 'speaking' | 'pendingEnd'
+            isGateOpen: false,
             currentLevel: 0,
             smoothedLevel: 0,
+            currentDb: -Infinity,
+            isVoiced: false,
+            speechProbability: 0,
+            bands: { low: 0, mid: 0, high: 0 },
+            spectralCentroid: 0,
+            spectralFlux: 0,
+            pitch: null,
+            bargeInEnabled: false,
+            isReferencePlaying: false,
+            isBargeIn: false,
+            echoGainDb: 0,
+            noiseFloor: 0,
+            noiseFloorDb: -Infinity,
+            calibrationMarginDb: 0, // Margin calibrate() needed to clear the 95th percentile
+            isCalibrating: false,
+            lastFrameTime: null, // null until the first frame - offline timestamps start at 0
+            analysisPath: null,
+            deviceId: null,
+            permission: 'unknown', // 'granted' | 'denied' | 'prompt' | 'unknown'
+            audioState: null,      // AudioContext state - 'suspended' until a user gesture on autoplay-restricted pages
+            error: null,
+            sampleRate: null,
             lastVoiceTime: 0,
             voiceStartTime: 0,
             silenceStartTime: 0,
@@ -51,11 +154,76 @@ class VoiceActivityDetector {
         this.analyser = null;
         this.microphone = null;
         this.dataArray = null;
+        this.timeDomainData = null;
+        this.frequencyData = null;
+        this.previousSpectrum = null;
+        this.yinBuffer = null;
+        this.pitchHistory = null;   // Rolling window of hop samples
+        this.pitchAnalyser = null;  // Frame mode, when fftSize is too small for YIN
+        this.pitchData = null;
         this.stream = null;
+        this.mediaElement = null;
+
+        // Ownership flags - disconnect() only tears down what we created
+        this.ownsStream = false;
+        this.ownsAudioContext = false;
+
+        // Barge-in reference (assistant playback), as passed in, plus its node and analyser
+        this.bargeInReference = null;
+        this.referenceNode = null;
+        this.referenceAnalyser = null;
+        this.referenceData = null;
+        this.referenceHoldDb = -Infinity;
+        this.bargeInStartTime = 0;
+
+        // Device watchers
+        this.watchedTrack = null;
+        this.handleTrackEnded = this.handleTrackEnded.bind(this);
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
+
+        // AudioContext state watcher and pending resume-on-gesture cleanup
+        this.handleAudioStateChange = this.handleAudioStateChange.bind(this);
+        this.cancelGestureResume = null;
+
+        // Microphone permission status from the Permissions API
+        this.permissionStatus = null;
+        this.handlePermissionChange = this.handlePermissionChange.bind(this);
 
         // Animation frame ID
         this.animationFrame = null;
 
+        // MediaRecorder tap - the source is delayed by pre-roll + minDuration so a
+        // recorder started on voiceStart still catches the onset
+        this.recorderDelay = null;
+        this.recorderDestination = null;
+        this.recorderDelayMs = 0;
+        this.activeRecording = null;
+        this.recordings = new Set();
+
+        // Audio-rate analysis node and audio clock to wall clock offset (ms)
+        this.hopNode = null;
+        this.audioClockOffset = 0;
+
+        // Utterance capture ring buffer, the wall-clock time of its first sample
+        // and the segment waiting for its post-roll
+        this.captureBuffer = null;
+        this.captureOrigin = 0;
+        this.pendingUtterance = null;
+
+        // Session statistics (see getStats)
+        this.resetStats();
+
+        // Custom detection engine (null uses the built-in engine for detectionMode)
+        this.engine = null;
+        this.builtInEngines = {
+            energy: new EnergyVADEngine(),
+            spectral: new SpectralVADEngine()
+        };
+        // Bumped on engine change or reset so late async results are dropped
+        this.engineGeneration = 0;
+        // Set by analyzeBuffer, where every frame must be decided before the next
+        this.requireSyncEngine = false;
+
         // Event listeners
         this.eventListeners = new Map();
 
@@ -67,323 +235,3059 @@ class VoiceActivityDetector {
      * @returns {Promise<boolean>} Success status
      */
     async connect() {
-        try {
-            // Request microphone access
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                }
-            });
-
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.analyser = this.audioContext.createAnalyser();
-            this.microphone = this.audioContext.createMediaStreamSource(this.stream);
-
-            // Configure analyser
-            this.analyser.fftSize = this.config.fftSize;
-            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        await this.watchPermission();
 
-            // Connect audio nodes
-            this.microphone.connect(this.analyser);
+        try {
+            await this.openMicrophone(this.config.deviceId);
 
-            this.state.isConnected = true;
+            this.state.error = null;
             this.log('Microphone connected successfully');
-
             return true;
         } catch (error) {
             this.log('Failed to connect microphone:', error);
-            this.trigger('error', error);
-            return false;
+            return this.failMicrophone(VoiceActivityError.fromMediaError(error));
         }
     }
 
     /**
-     * Start voice activity detection
-     * @returns {boolean} Success status
+     * Record and report a microphone failure
+     * @param {VoiceActivityError} error - Typed failure
+     * @returns {boolean} Always false, unless config.rejectOnError makes it throw
      */
-    start() {
-        if (!this.state.isConnected) {
-            this.log('Cannot start VAD: microphone not connected');
-            return false;
-        }
+    failMicrophone(error) {
+        this.state.error = { code: error.code, message: error.message };
+        this.trigger('error', error);
 
-        if (this.state.isActive) {
-            this.log('VAD already active');
-            return true;
+        if (this.config.rejectOnError) {
+            throw error;
         }
-
-        // Reset state
-        this.resetVADState();
-
-        this.state.isActive = true;
-        this.startAnalysis();
-
-        this.log('Voice activity detection started');
-        return true;
+        return false;
     }
 
     /**
-     * Stop voice activity detection
-     * @returns {boolean} Success status
+     * Track the microphone permission through the Permissions API
+     * Emits `permissionChange` whenever the state changes. Browsers without
+     * a queryable `microphone` permission leave the state as 'unknown' until
+     * getUserMedia succeeds or is denied.
+     * @returns {Promise<string>} Current permission state
      */
-    stop() {
-        if (!this.state.isActive) {
-            return true;
-        }
-
-        this.state.isActive = false;
-
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
+    async watchPermission() {
+        if (this.permissionStatus) {
+            return this.state.permission;
         }
 
-        // Reset voice state
-        if (this.state.isVoiceDetected) {
-            this.state.isVoiceDetected = false;
-            this.trigger('voiceEnd');
+        try {
+            if (typeof navigator !== 'undefined' && navigator.permissions && navigator.permissions.query) {
+                this.permissionStatus = await navigator.permissions.query({ name: 'microphone' });
+                this.permissionStatus.addEventListener('change', this.handlePermissionChange);
+                this.setPermission(this.permissionStatus.state);
+            }
+        } catch (error) {
+            this.log('Microphone permission cannot be queried:', error);
         }
 
-        this.log('Voice activity detection stopped');
-        return true;
+        return this.state.permission;
     }
 
     /**
-     * Disconnect microphone and cleanup
+     * Handle a Permissions API change event
      */
-    disconnect() {
-        this.stop();
-
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
-
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
-        }
+    handlePermissionChange() {
+        this.setPermission(this.permissionStatus.state);
+    }
 
-        this.analyser = null;
-        this.microphone = null;
-        this.dataArray = null;
-        this.state.isConnected = false;
+    /**
+     * Update the permission state and emit `permissionChange`
+     * @param {string} permission - 'granted', 'denied', 'prompt' or 'unknown'
+     */
+    setPermission(permission) {
+        const previous = this.state.permission;
+        if (previous === permission) return;
 
-        this.log('Microphone disconnected');
+        this.state.permission = permission;
+        this.log('Microphone permission:', permission);
+        this.trigger('permissionChange', { state: permission, previousState: previous });
     }
 
     /**
-     * Start audio analysis loop
+     * Open a microphone and attach it as the source
+     * Uses config.audioConstraints plus an exact deviceId when given.
+     * @param {string|null} deviceId - Input device ID, or null for the default
+     * @returns {Promise<void>}
      */
-    startAnalysis() {
-        const analyze = () => {
-            if (!this.state.isActive) return;
+    async openMicrophone(deviceId) {
+        const audio = { ...this.config.audioConstraints };
+        if (deviceId) {
+            audio.deviceId = { exact: deviceId };
+        }
 
-            // Get frequency data
-            this.analyser.getByteFrequencyData(this.dataArray);
+        if (typeof window !== 'undefined' && window.isSecureContext === false) {
+            throw new VoiceActivityError(VoiceActivityError.INSECURE_CONTEXT,
+                'Microphone access requires HTTPS or localhost');
+        }
+        if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new VoiceActivityError(VoiceActivityError.UNSUPPORTED,
+                'getUserMedia is not supported in this browser');
+        }
 
-            // Calculate average volume
-            let sum = 0;
-            for (let i = 0; i < this.dataArray.length; i++) {
-                sum += this.dataArray[i];
+        // Request microphone access
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio });
+        } catch (error) {
+            const typedError = VoiceActivityError.fromMediaError(error);
+            if (typedError.code === VoiceActivityError.PERMISSION_DENIED) {
+                this.setPermission('denied');
             }
-            const average = sum / this.dataArray.length;
-            const normalizedLevel = (average / 255) * this.config.sensitivity;
+            throw typedError;
+        }
 
-            // Process voice activity
-            this.processVoiceActivity(normalizedLevel);
+        // Without a queryable permission, a stream is proof enough
+        if (!this.permissionStatus) {
+            this.setPermission('granted');
+        }
 
-            // Schedule next analysis
-            this.animationFrame = requestAnimationFrame(analyze);
-        };
+        try {
+            this.attachSource(null, (context) => context.createMediaStreamSource(stream));
+        } catch (error) {
+            stream.getTracks().forEach(track => track.stop());
+            throw error;
+        }
+        this.stream = stream;
+        this.ownsStream = true;
+        this.watchStream(stream);
 
-        analyze();
+        if (navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        }
     }
 
     /**
-     * Process voice activity detection logic
-     * @param {number} level - Current audio level (0-1)
+     * Switch to another input device without losing listeners
+     * Detection is restarted if it was running.
+     * @param {string|null} deviceId - Input device ID, or null for the default
+     * @returns {Promise<boolean>} Success status
      */
-    processVoiceActivity(level) {
-        const now = Date.now();
-
-        // Smooth the audio level
-        this.state.smoothedLevel = this.state.smoothedLevel * this.config.smoothing +
-                                   level * (1 - this.config.smoothing);
-
-        this.state.currentLevel = level;
-
-        // Trigger level callback
-        this.trigger('voiceLevel', {
-            raw: level,
-            smoothed: this.state.smoothedLevel,
-            timestamp: now
-        });
-
-        const isAboveThreshold = this.state.smoothedLevel > this.config.threshold;
-
-        if (isAboveThreshold) {
-            this.state.lastVoiceTime = now;
+    async switchDevice(deviceId) {
+        const wasActive = this.state.isActive;
+        const previousDeviceId = this.state.deviceId;
 
-            // Check if we should start voice activity
-            if (!this.state.isVoiceDetected) {
-                if (this.state.voiceStartTime === 0) {
-                    this.state.voiceStartTime = now;
-                } else if (now - this.state.voiceStartTime >= this.config.minDuration) {
-                    // Voice detected for minimum duration
-                    this.state.isVoiceDetected = true;
-                    this.state.silenceStartTime = 0;
-                    this.log('Voice activity started');
-                    this.trigger('voiceStart');
-                }
-            }
-        } else {
-            // Below threshold - potential silence
-            if (this.state.isVoiceDetected && this.state.silenceStartTime === 0) {
-                this.state.silenceStartTime = now;
-            }
+        try {
+            await this.openMicrophone(deviceId);
+            this.config.deviceId = deviceId;
 
-            // Reset voice start time if we haven't reached minimum duration
-            if (!this.state.isVoiceDetected) {
-                this.state.voiceStartTime = 0;
+            if (wasActive) {
+                this.start();
             }
-        }
 
-        // Check if we should stop due to silence
-        if (this.state.isVoiceDetected && this.state.silenceStartTime > 0) {
-            if (now - this.state.silenceStartTime >= this.config.maxSilence) {
-                this.state.isVoiceDetected = false;
-                this.state.voiceStartTime = 0;
-                this.state.silenceStartTime = 0;
-                this.log('Voice activity ended');
-                this.trigger('voiceEnd');
-            }
+            this.state.error = null;
+            this.log('Switched to device:', this.state.deviceId);
+            this.trigger('deviceChanged', {
+                deviceId: this.state.deviceId,
+                previousDeviceId,
+                reason: 'switch'
+            });
+            return true;
+        } catch (error) {
+            this.log('Failed to switch device:', error);
+            return this.failMicrophone(VoiceActivityError.fromMediaError(error));
         }
     }
 
     /**
-     * Reset VAD state
+     * Watch a stream's audio track so an unplugged device is noticed
+     * @param {MediaStream} stream - Connected stream
      */
-    resetVADState() {
-        this.state.isVoiceDetected = false;
-        this.state.lastVoiceTime = 0;
-        this.state.voiceStartTime = 0;
-        this.state.silenceStartTime = 0;
-        this.state.currentLevel = 0;
-        this.state.smoothedLevel = 0;
-    }
+    watchStream(stream) {
+        const track = stream.getAudioTracks()[0];
+        if (!track) return;
 
-    /**
-     * Update configuration
-     * @param {Object} newConfig - New configuration options
-     */
-    updateConfig(newConfig) {
-        this.config = { ...this.config, ...newConfig };
-        this.log('Configuration updated:', newConfig);
+        const settings = typeof track.getSettings === 'function' ? track.getSettings() : {};
+        this.state.deviceId = settings.deviceId || null;
+        this.watchedTrack = track;
+        track.addEventListener('ended', this.handleTrackEnded);
     }
 
     /**
-     * Get current state
-     * @returns {Object} Current state
+     * Stop watching the current track and device list
      */
-    getState() {
-        return { ...this.state };
-    }
+    unwatchStream() {
+        if (this.watchedTrack) {
+            this.watchedTrack.removeEventListener('ended', this.handleTrackEnded);
+            this.watchedTrack = null;
+        }
 
-    /**
-     * Get current configuration
-     * @returns {Object} Current configuration
-     */
-    getConfig() {
-        return { ...this.config };
+        if (typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
     }
 
     /**
-     * Add event listener
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback function
+     * Handle the connected track ending (device unplugged or revoked)
      */
-    on(event, callback) {
-        if (!this.eventListeners.has(event)) {
-            this.eventListeners.set(event, []);
-        }
-        this.eventListeners.get(event).push(callback);
+    handleTrackEnded() {
+        this.handleDeviceLost(this.watchedTrack);
     }
 
     /**
-     * Remove event listener
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback function to remove
+     * Handle the device list changing - the connected device may be gone
+     * @returns {Promise<void>}
      */
-    off(event, callback) {
-        if (this.eventListeners.has(event)) {
-            const listeners = this.eventListeners.get(event);
-            const index = listeners.indexOf(callback);
-            if (index > -1) {
-                listeners.splice(index, 1);
+    async handleDeviceChange() {
+        const deviceId = this.state.deviceId;
+        if (!this.watchedTrack || !deviceId) return;
+
+        try {
+            const devices = await VoiceActivityDetector.listDevices();
+            if (this.watchedTrack && !devices.some(device => device.deviceId === deviceId)) {
+                this.handleDeviceLost(this.watchedTrack);
             }
+        } catch (error) {
+            this.log('Device enumeration failed:', error);
         }
     }
 
     /**
-     * Trigger event
-     * @param {string} event - Event name
-     * @param {*} data - Event data
+     * Tear down a lost device and, for our own microphone, fall back to the
+     * default one when `autoRecover` is enabled
+     * @param {MediaStreamTrack} track - Track that ended
+     * @returns {Promise<void>}
      */
-    trigger(event, data = null) {
-        // Trigger registered listeners
-        if (this.eventListeners.has(event)) {
-            this.eventListeners.get(event).forEach(callback => {
+    async handleDeviceLost(track) {
+        if (!track || track !== this.watchedTrack) return;
+
+        const wasActive = this.state.isActive;
+        const canRecover = this.ownsStream && this.config.autoRecover;
+        const lost = {
+            deviceId: this.state.deviceId,
+            label: track.label || ''
+        };
+        // disconnect() drops the barge-in reference, so keep it for the recovered mic
+        const bargeInReference = this.bargeInReference;
+
+        this.log('Device lost:', lost);
+        this.disconnect();
+        this.trigger('deviceLost', lost);
+
+        if (!canRecover) return;
+
+        try {
+            await this.openMicrophone(null);
+            if (wasActive) {
+                this.start();
+            }
+
+            if (bargeInReference && !this.state.bargeInEnabled) {
                 try {
-                    callback(data, this);
+                    this.attachReference(bargeInReference);
                 } catch (error) {
-                    this.log('Event callback error:', error);
+                    this.log('Failed to restore barge-in:', error);
+                    this.trigger('error', error);
                 }
+            }
+
+            this.log('Recovered with device:', this.state.deviceId);
+            this.trigger('deviceChanged', {
+                deviceId: this.state.deviceId,
+                previousDeviceId: lost.deviceId,
+                reason: 'recovered'
             });
+        } catch (error) {
+            this.log('Device recovery failed:', error);
+            const typedError = VoiceActivityError.fromMediaError(error);
+            this.state.error = { code: typedError.code, message: typedError.message };
+            this.trigger('error', typedError);
         }
+    }
 
-        // Trigger config callbacks
-        const callbackName = 'on' + event.charAt(0).toUpperCase() + event.slice(1);
-        if (this.config[callbackName] && typeof this.config[callbackName] === 'function') {
-            try {
-                this.config[callbackName](data, this);
-            } catch (error) {
-                this.log('Config callback error:', error);
+    /**
+     * Connect to an existing MediaStream (e.g. a WebRTC remote track)
+     * The stream's tracks are left running on disconnect.
+     * @param {MediaStream} stream - Stream with at least one audio track
+     * @returns {Promise<boolean>} Success status
+     */
+    async connectStream(stream) {
+        try {
+            if (!stream || typeof stream.getAudioTracks !== 'function') {
+                throw new Error('Invalid MediaStream provided');
+            }
+            if (stream.getAudioTracks().length === 0) {
+                throw new Error('MediaStream has no audio tracks');
             }
+
+            this.attachSource(null, (context) => context.createMediaStreamSource(stream));
+            this.stream = stream;
+            this.ownsStream = false;
+            this.watchStream(stream);
+
+            this.log('MediaStream connected successfully');
+            return true;
+        } catch (error) {
+            this.log('Failed to connect stream:', error);
+            this.trigger('error', error);
+            return false;
         }
     }
 
     /**
-     * Check if VAD is supported
-     * @returns {boolean} Support status
+     * Connect to an <audio> or <video> element
+     * The element keeps playing through the speakers while being analysed.
+     * Browsers allow one source node per element, so the node and its context
+     * are shared across connections and never closed by the detector - the
+     * element stays audible after disconnect() and can be connected again.
+     * @param {HTMLMediaElement} element - Media element or its ID
+     * @param {AudioContext} audioContext - Context to route the element through (optional)
+     * @returns {Promise<boolean>} Success status
      */
-    static isSupported() {
-        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    async connectMediaElement(element, audioContext = null) {
+        try {
+            const mediaElement = typeof element === 'string' ? document.getElementById(element) : element;
+            if (!mediaElement) {
+                throw new Error('Media element not found');
+            }
+
+            const { context, source } = this.getMediaElementSource(mediaElement, audioContext);
+            this.attachSource(context, () => source);
+            this.mediaElement = mediaElement;
+
+            this.log('Media element connected successfully');
+            return true;
+        } catch (error) {
+            this.log('Failed to connect media element:', error);
+            this.trigger('error', error);
+            return false;
+        }
     }
 
     /**
-     * Log helper
-     * @param {...any} args - Arguments to log
+     * Get the shared source node for a media element, creating it on first use
+     * A context created here belongs to the element rather than to any
+     * detector, so disconnecting never closes it.
+     * @param {HTMLMediaElement} element - Media element
+     * @param {AudioContext|null} audioContext - Context to create the source in (optional)
+     * @returns {{context: AudioContext, source: MediaElementAudioSourceNode}} Source and its context
      */
-    log(...args) {
-        if (this.config.debug) {
-            console.log('[VoiceActivityDetector]', ...args);
+    getMediaElementSource(element, audioContext = null) {
+        const cached = VoiceActivityDetector.mediaElementSources.get(element);
+        if (cached) {
+            if (audioContext && audioContext !== cached.context) {
+                throw new Error('Media element is already routed through another AudioContext');
+            }
+            return cached;
         }
+
+        const context = audioContext || this.createAudioContext();
+        const source = context.createMediaElementSource(element);
+        // Keep the element audible - a source node detaches it from the output
+        source.connect(context.destination);
+
+        const entry = { context, source };
+        VoiceActivityDetector.mediaElementSources.set(element, entry);
+        return entry;
     }
 
     /**
-     * Destroy the VAD instance
+     * Connect to a node in an existing Web Audio graph
+     * The node and its AudioContext are left untouched on disconnect.
+     * @param {AudioNode} node - Node to analyse
+     * @param {AudioContext} audioContext - Context the node belongs to (defaults to node.context)
+     * @returns {Promise<boolean>} Success status
+     */
+    async connectNode(node, audioContext = null) {
+        try {
+            if (!node || typeof node.connect !== 'function') {
+                throw new Error('Invalid AudioNode provided');
+            }
+
+            this.attachSource(audioContext || node.context, () => node);
+
+            this.log('AudioNode connected successfully');
+            return true;
+        } catch (error) {
+            this.log('Failed to connect node:', error);
+            this.trigger('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Enable barge-in detection against the assistant's playback
+     * While the reference is playing, mic frames that do not rise above the
+     * expected echo are not treated as speech, and `bargeIn` fires once the
+     * user talks over playback for `bargeInMinDuration`. The reference is
+     * measured in its own context: a media element goes through its shared
+     * source (see connectMediaElement), so it keeps playing when the mic is
+     * disconnected, and barge-in follows switchDevice() and device recovery.
+     * @param {HTMLMediaElement|AudioNode|string} reference - Playback element (or ID) or node
+     * @returns {Promise<boolean>} Success status
+     */
+    async enableBargeIn(reference) {
+        try {
+            if (!this.state.isConnected) {
+                throw new Error('Cannot enable barge-in: audio source not connected');
+            }
+
+            this.disableBargeIn();
+            this.attachReference(reference);
+
+            this.log('Barge-in enabled');
+            return true;
+        } catch (error) {
+            this.log('Failed to enable barge-in:', error);
+            this.trigger('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Wire the barge-in reference into an analyser in the reference's context
+     * @param {HTMLMediaElement|AudioNode|string} reference - Playback element (or ID) or node
+     */
+    attachReference(reference) {
+        let node;
+
+        if (reference && typeof reference.connect === 'function') {
+            node = reference;
+        } else {
+            const element = typeof reference === 'string' ? document.getElementById(reference) : reference;
+            if (!element) {
+                throw new Error('Reference element not found');
+            }
+            // An element not yet routed anywhere gets its own context, not the mic's
+            node = this.getMediaElementSource(element).source;
+        }
+
+        const context = node.context || this.audioContext;
+        if (context.state === 'suspended') {
+            // Autoplay policy - the playback would be silent too, so retry now
+            context.resume().catch(error => this.log('Reference context resume failed:', error));
+        }
+        this.referenceAnalyser = context.createAnalyser();
+        this.referenceAnalyser.fftSize = this.config.fftSize;
+        this.referenceData = new Float32Array(this.referenceAnalyser.fftSize);
+        node.connect(this.referenceAnalyser);
+        this.referenceNode = node;
+        this.bargeInReference = reference;
+
+        this.referenceHoldDb = -Infinity;
+        this.bargeInStartTime = 0;
+        this.state.echoGainDb = this.config.initialEchoGainDb;
+        this.state.bargeInEnabled = true;
+    }
+
+    /**
+     * Disable barge-in detection
+     */
+    disableBargeIn() {
+        if (this.referenceNode && this.referenceAnalyser) {
+            try {
+                this.referenceNode.disconnect(this.referenceAnalyser);
+            } catch (error) {
+                this.log('Reference disconnect failed:', error);
+            }
+        }
+
+        this.referenceNode = null;
+        this.referenceAnalyser = null;
+        this.referenceData = null;
+        this.bargeInReference = null;
+        this.state.bargeInEnabled = false;
+        this.state.isReferencePlaying = false;
+        this.state.isBargeIn = false;
+    }
+
+    /**
+     * Compare the mic against the reference for one frame
+     * The expected echo is the held reference level plus the echo gain, which
+     * follows the mic/reference ratio quickly downward and slowly upward so
+     * the user's own speech barely moves it.
+     * @param {Object} levels - Frame levels (uses `dbfs` and `referenceDb`)
+     * @param {number} now - Frame timestamp in ms
+     * @param {number} elapsed - Time since the previous frame in ms
+     * @returns {boolean} Whether the frame is only echo and should not count as speech
+     */
+    updateBargeIn(levels, now, elapsed) {
+        const referenceDb = levels.referenceDb;
+        this.referenceHoldDb = Math.max(referenceDb, this.referenceHoldDb - this.config.echoTailDecayDb * elapsed / 1000);
+
+        const playing = this.referenceHoldDb > this.config.referenceSilenceDb;
+        this.state.isReferencePlaying = playing;
+
+        if (!playing) {
+            this.bargeInStartTime = 0;
+            this.state.isBargeIn = false;
+            return false;
+        }
+
+        const couplingDb = levels.dbfs - this.referenceHoldDb;
+        const isTalking = couplingDb - this.state.echoGainDb > this.config.bargeInMarginDb;
+
+        if (!isTalking) {
+            if (elapsed > 0 && isFinite(couplingDb)) {
+                const timeConstant = couplingDb > this.state.echoGainDb ?
+                    this.config.echoRiseTime : this.config.echoFallTime;
+                this.state.echoGainDb += (couplingDb - this.state.echoGainDb) * (1 - Math.exp(-elapsed / timeConstant));
+            }
+            this.bargeInStartTime = 0;
+            this.state.isBargeIn = false;
+            return true;
+        }
+
+        if (this.bargeInStartTime === 0) {
+            this.bargeInStartTime = now;
+        }
+
+        if (!this.state.isBargeIn && now - this.bargeInStartTime >= this.config.bargeInMinDuration) {
+            this.state.isBargeIn = true;
+            this.log('Barge-in detected');
+            this.trigger('bargeIn', {
+                micDb: levels.dbfs,
+                referenceDb: this.referenceHoldDb,
+                echoGainDb: this.state.echoGainDb,
+                timestamp: now
+            });
+        }
+
+        return false;
+    }
+
+    /**
+     * Create the analyser and wire a source into it
+     * Any previous connection is torn down first.
+     * @param {AudioContext|null} audioContext - External context, or null to create one
+     * @param {Function} createSource - Receives the context and returns the source node
+     */
+    attachSource(audioContext, createSource) {
+        // Barge-in survives reconnecting (switchDevice, device recovery)
+        const bargeInReference = this.bargeInReference;
+
+        if (this.state.isConnected) {
+            this.disconnect();
+        }
+
+        // Create audio context
+        const context = audioContext || this.createAudioContext();
+
+        try {
+            this.audioContext = context;
+            this.ownsAudioContext = !audioContext;
+            this.analyser = context.createAnalyser();
+            this.microphone = createSource(context);
+
+            // Configure analyser
+            this.analyser.fftSize = this.config.fftSize;
+            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeDomainData = new Float32Array(this.analyser.fftSize);
+            this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+
+            // Connect audio nodes
+            this.microphone.connect(this.analyser);
+
+            this.state.sampleRate = context.sampleRate;
+            this.state.isConnected = true;
+            this.watchAudioContext(context);
+
+            if (bargeInReference) {
+                try {
+                    this.attachReference(bargeInReference);
+                } catch (error) {
+                    this.log('Failed to restore barge-in:', error);
+                    this.trigger('error', error);
+                }
+            }
+        } catch (error) {
+            if (!audioContext) {
+                context.close();
+            }
+            this.audioContext = null;
+            this.analyser = null;
+            this.microphone = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Watch the AudioContext state
+     * Autoplay policies create contexts `suspended` without a user gesture, in
+     * which case the analyser only ever reads silence.
+     * @param {AudioContext} context - Connected context
+     */
+    watchAudioContext(context) {
+        this.state.audioState = context.state;
+        if (context.addEventListener) {
+            context.addEventListener('statechange', this.handleAudioStateChange);
+        }
+
+        if (context.state !== 'running') {
+            this.log('AudioContext is', context.state);
+            this.trigger('audioSuspended', { state: context.state });
+        }
+    }
+
+    /**
+     * Handle an AudioContext statechange event
+     */
+    handleAudioStateChange() {
+        if (!this.audioContext) return;
+
+        const previous = this.state.audioState;
+        const current = this.audioContext.state;
+        this.state.audioState = current;
+        if (previous === current || current === 'closed') return;
+
+        if (current === 'running') {
+            this.log('AudioContext resumed');
+            this.trigger('audioResumed', { state: current });
+        } else {
+            this.log('AudioContext is', current);
+            this.trigger('audioSuspended', { state: current });
+        }
+    }
+
+    /**
+     * Resume a suspended AudioContext
+     * Must be called from a user gesture handler on autoplay-restricted pages.
+     * @returns {Promise<boolean>} Whether the context is running
+     */
+    async resume() {
+        if (!this.audioContext) return false;
+
+        try {
+            await this.audioContext.resume();
+            // The barge-in reference may play through a context of its own
+            const referenceContext = this.referenceNode ? this.referenceNode.context : null;
+            if (referenceContext && referenceContext !== this.audioContext && referenceContext.state === 'suspended') {
+                await referenceContext.resume();
+            }
+        } catch (error) {
+            this.log('AudioContext resume failed:', error);
+        }
+        return this.audioContext !== null && this.audioContext.state === 'running';
+    }
+
+    /**
+     * Resume the AudioContext on the next click, tap or key press
+     * @param {EventTarget} target - Element to listen on (defaults to document)
+     * @returns {Promise<boolean>} Resolves true once running, false if cancelled by disconnect
+     */
+    resumeOnGesture(target = document) {
+        if (this.cancelGestureResume) {
+            this.cancelGestureResume();
+        }
+        if (!this.audioContext || this.audioContext.state === 'running') {
+            return Promise.resolve(!!this.audioContext);
+        }
+
+        // Only these events count as user activation for autoplay
+        const events = ['click', 'keydown', 'touchend', 'pointerup'];
+
+        return new Promise((resolve) => {
+            const cleanup = () => {
+                events.forEach(event => target.removeEventListener(event, handleGesture, true));
+                this.cancelGestureResume = null;
+            };
+
+            const handleGesture = async () => {
+                if (await this.resume()) {
+                    cleanup();
+                    resolve(true);
+                }
+            };
+
+            events.forEach(event => target.addEventListener(event, handleGesture, true));
+            this.cancelGestureResume = () => {
+                cleanup();
+                resolve(false);
+            };
+        });
+    }
+
+    /**
+     * Start voice activity detection
+     * @returns {boolean} Success status
+     */
+    start() {
+        if (!this.state.isConnected) {
+            this.log('Cannot start VAD: microphone not connected');
+            return false;
+        }
+
+        if (this.state.isActive) {
+            this.log('VAD already active');
+            return true;
+        }
+
+        // Reset state
+        this.resetVADState();
+
+        this.state.isActive = true;
+        this.startAnalysis();
+
+        this.log('Voice activity detection started');
+        return true;
+    }
+
+    /**
+     * Stop voice activity detection
+     * @returns {boolean} Success status
+     */
+    stop() {
+        if (!this.state.isActive) {
+            return true;
+        }
+
+        this.state.isActive = false;
+
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        this.stopAudioAnalysis();
+        this.state.analysisPath = null;
+
+        // Reset voice state
+        this.setVADState('silence');
+        if (this.state.isVoiceDetected) {
+            this.state.isVoiceDetected = false;
+            this.recordUtterance(this.state.lastVoiceTime - this.state.voiceStartTime);
+            this.trigger('voiceEnd');
+            this.endUtterance(this.state.voiceStartTime, this.state.lastVoiceTime, true);
+            this.stopRecording(this.state.lastVoiceTime);
+        } else if (this.pendingUtterance) {
+            this.emitUtterance();
+        }
+        this.captureBuffer = null;
+        this.pendingUtterance = null;
+        this.stopRecorderTap();
+
+        this.log('Voice activity detection stopped');
+        return true;
+    }
+
+    /**
+     * Create an AudioContext, honouring config.sampleRate when set
+     * @returns {AudioContext} New audio context
+     */
+    createAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (this.config.sampleRate) {
+            try {
+                return new AudioContextClass({ sampleRate: this.config.sampleRate });
+            } catch (error) {
+                this.log('Sample rate not supported, using device rate:', error);
+            }
+        }
+        return new AudioContextClass();
+    }
+
+    /**
+     * Disconnect audio source and cleanup
+     * Only resources created by the detector are stopped or closed.
+     */
+    disconnect() {
+        this.stop();
+        this.unwatchStream();
+        this.disableBargeIn();
+
+        if (this.cancelGestureResume) {
+            this.cancelGestureResume();
+        }
+        if (this.audioContext && this.audioContext.removeEventListener) {
+            this.audioContext.removeEventListener('statechange', this.handleAudioStateChange);
+        }
+        this.state.audioState = null;
+
+        this.disconnectPitchAnalyser();
+        this.pitchHistory = null;
+
+        if (this.microphone && this.analyser) {
+            try {
+                this.microphone.disconnect(this.analyser);
+            } catch (error) {
+                this.log('Source disconnect failed:', error);
+            }
+        }
+
+        if (this.stream && this.ownsStream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.ownsStream = false;
+
+        if (this.audioContext && this.ownsAudioContext) {
+            this.audioContext.close();
+        }
+        this.audioContext = null;
+        this.ownsAudioContext = false;
+
+        this.analyser = null;
+        this.microphone = null;
+        this.mediaElement = null;
+        this.dataArray = null;
+        this.timeDomainData = null;
+        this.frequencyData = null;
+        this.state.sampleRate = null;
+        this.state.deviceId = null;
+        this.state.isConnected = false;
+
+        this.log('Audio source disconnected');
+    }
+
+    /**
+     * Start audio analysis loop
+     * In 'audio' mode this falls back to animation frames if neither
+     * AudioWorklet nor ScriptProcessor is available. Utterance capture also
+     * needs the audio-rate tap, so it is started alongside the frame loop.
+     */
+    startAnalysis() {
+        const audioRate = this.config.analysisMode === 'audio';
+
+        if (this.config.captureUtterances) {
+            this.startCapture();
+        }
+
+        if (this.config.recordUtterances) {
+            this.startRecorderTap();
+        }
+
+        if (!audioRate) {
+            this.startFrameAnalysis();
+        }
+
+        if (audioRate || this.config.captureUtterances) {
+            this.startAudioAnalysis().catch((error) => {
+                this.log('Audio-rate processing unavailable:', error);
+                if (audioRate && this.state.isActive && !this.hopNode) {
+                    this.startFrameAnalysis();
+                }
+            });
+        }
+    }
+
+    /**
+     * Start the requestAnimationFrame analysis loop
+     */
+    startFrameAnalysis() {
+        this.state.analysisPath = 'animationFrame';
+
+        const analyze = () => {
+            if (!this.state.isActive) return;
+
+            // Measure the current frame and process voice activity
+            const levels = this.measureLevels();
+            this.processVoiceActivity(this.getMetricLevel(levels), levels);
+
+            // Schedule next analysis
+            this.animationFrame = requestAnimationFrame(analyze);
+        };
+
+        analyze();
+    }
+
+    /**
+     * Start audio-rate analysis
+     * Fixed-size hops are captured on the audio thread and timestamped with the
+     * audio clock, so minDuration/maxSilence are frame-accurate and detection
+     * keeps running while the tab is hidden.
+     * @returns {Promise<void>}
+     */
+    async startAudioAnalysis() {
+        const context = this.audioContext;
+        const source = this.microphone;
+        let node;
+        let tapType;
+
+        if (context.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            await VoiceActivityDetector.loadWorklet(context);
+
+            // Stopped, restarted or reconnected while the module was loading
+            if (!this.state.isActive || context !== this.audioContext || this.hopNode) return;
+
+            node = new AudioWorkletNode(context, 'voice-activity-hop', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                processorOptions: { hopSize: this.config.hopSize }
+            });
+            node.port.onmessage = (event) => {
+                this.processHop(event.data.samples, event.data.time);
+            };
+            tapType = 'worklet';
+        } else if (context.createScriptProcessor) {
+            // ScriptProcessor needs a power-of-two buffer between 256 and 16384
+            const bufferSize = Math.pow(2, Math.round(Math.log2(
+                Math.max(256, Math.min(16384, this.config.hopSize))
+            )));
+            node = context.createScriptProcessor(bufferSize, 1, 1);
+            node.onaudioprocess = (event) => {
+                const samples = new Float32Array(event.inputBuffer.getChannelData(0));
+                this.processHop(samples, event.playbackTime);
+            };
+            // ScriptProcessor only runs while connected to the destination (its output is silent)
+            node.connect(context.destination);
+            tapType = 'scriptProcessor';
+        } else {
+            throw new Error('AudioWorklet and ScriptProcessor are not supported');
+        }
+
+        this.audioClockOffset = Date.now() - context.currentTime * 1000;
+        source.connect(node);
+        this.hopNode = node;
+
+        if (this.config.analysisMode === 'audio') {
+            this.state.analysisPath = tapType;
+        }
+
+        this.log('Audio-rate processing started:', tapType);
+    }
+
+    /**
+     * Stop audio-rate analysis and release its node
+     */
+    stopAudioAnalysis() {
+        if (!this.hopNode) return;
+
+        if (this.microphone) {
+            try {
+                this.microphone.disconnect(this.hopNode);
+            } catch (error) {
+                this.log('Hop node disconnect failed:', error);
+            }
+        }
+
+        if (this.hopNode.port) {
+            this.hopNode.port.onmessage = null;
+        } else {
+            this.hopNode.onaudioprocess = null;
+        }
+        this.hopNode.disconnect();
+        this.hopNode = null;
+    }
+
+    /**
+     * Process one hop of audio from the audio thread
+     * @param {Float32Array} samples - Time-domain samples for the hop
+     * @param {number} time - AudioContext time (seconds) of the first sample
+     */
+    processHop(samples, time) {
+        if (!this.state.isActive) return;
+
+        const timestamp = this.audioClockOffset + time * 1000;
+
+        // Capture first so a segment ending on this hop includes it
+        if (this.captureBuffer) {
+            this.captureHop(samples, timestamp);
+        }
+
+        if (this.config.analysisMode !== 'audio') return;
+
+        const levels = this.measureLevels(samples);
+        this.processVoiceActivity(this.getMetricLevel(levels), levels, timestamp);
+    }
+
+    /**
+     * Allocate the utterance ring buffer
+     * It holds pre-roll, the longest utterance and post-roll.
+     */
+    startCapture() {
+        const sampleRate = this.audioContext.sampleRate;
+        const capacityMs = this.config.preRollMs + this.config.maxUtteranceMs + this.config.postRollMs;
+        this.captureBuffer = new PCMRingBuffer(Math.ceil(capacityMs * sampleRate / 1000));
+        this.captureOrigin = 0;
+        this.pendingUtterance = null;
+    }
+
+    /**
+     * Append a hop to the ring buffer and emit a finished utterance once its
+     * post-roll has arrived
+     * @param {Float32Array} samples - Hop samples
+     * @param {number} timestamp - Wall-clock time (ms) of the first sample
+     */
+    captureHop(samples, timestamp) {
+        if (this.captureBuffer.written === 0) {
+            this.captureOrigin = timestamp;
+        }
+        this.captureBuffer.write(samples);
+
+        if (this.pendingUtterance && this.captureTimeToIndex(this.pendingUtterance.endTime) <= this.captureBuffer.written) {
+            this.emitUtterance();
+        }
+    }
+
+    /**
+     * Route the source through a delay into a MediaStream for MediaRecorder
+     */
+    startRecorderTap() {
+        if (typeof MediaRecorder === 'undefined' || !this.audioContext.createMediaStreamDestination) {
+            this.log('MediaRecorder is not supported - recording disabled');
+            return;
+        }
+
+        const context = this.audioContext;
+        this.recorderDelayMs = this.config.preRollMs + this.config.minDuration;
+        this.recorderDelay = context.createDelay(this.recorderDelayMs / 1000 + 1);
+        this.recorderDelay.delayTime.value = this.recorderDelayMs / 1000;
+        this.recorderDestination = context.createMediaStreamDestination();
+
+        this.microphone.connect(this.recorderDelay);
+        this.recorderDelay.connect(this.recorderDestination);
+    }
+
+    /**
+     * Finish any recordings immediately and release the recorder tap
+     */
+    stopRecorderTap() {
+        this.recordings.forEach((recording) => {
+            clearTimeout(recording.stopTimer);
+            this.finishRecording(recording);
+        });
+        this.activeRecording = null;
+
+        if (!this.recorderDelay) return;
+
+        if (this.microphone) {
+            try {
+                this.microphone.disconnect(this.recorderDelay);
+            } catch (error) {
+                this.log('Recorder disconnect failed:', error);
+            }
+        }
+        this.recorderDelay.disconnect();
+        this.recorderDelay = null;
+        this.recorderDestination = null;
+    }
+
+    /**
+     * Start a MediaRecorder for the utterance that just began
+     */
+    startRecording() {
+        if (!this.recorderDestination) return;
+
+        const mimeType = VoiceActivityDetector.getSupportedRecorderMimeType(this.config.recorderMimeTypes);
+        const options = {};
+        if (mimeType) {
+            options.mimeType = mimeType;
+        }
+        if (this.config.recorderBitsPerSecond) {
+            options.audioBitsPerSecond = this.config.recorderBitsPerSecond;
+        }
+
+        let recorder;
+        try {
+            recorder = new MediaRecorder(this.recorderDestination.stream, options);
+        } catch (error) {
+            this.log('Failed to start recorder:', error);
+            this.trigger('error', error);
+            return;
+        }
+
+        // The recorded stream lags real time by the delay
+        const recording = {
+            recorder,
+            startTime: Date.now() - this.recorderDelayMs,
+            stopTime: 0,
+            stopTimer: null
+        };
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        recorder.onstop = () => {
+            const type = recorder.mimeType || mimeType || 'audio/webm';
+            const endTime = recording.stopTime - this.recorderDelayMs;
+            this.trigger('recording', {
+                blob: new Blob(chunks, { type }),
+                mimeType: type,
+                startTime: recording.startTime,
+                endTime,
+                duration: endTime - recording.startTime
+            });
+        };
+
+        recorder.start();
+        this.activeRecording = recording;
+        this.recordings.add(recording);
+    }
+
+    /**
+     * Stop the current recording once its post-roll has passed through the delay
+     * @param {number} lastVoiceTime - Time of the last voiced frame (ms)
+     */
+    stopRecording(lastVoiceTime) {
+        const recording = this.activeRecording;
+        if (!recording) return;
+        this.activeRecording = null;
+
+        const stopAt = lastVoiceTime + this.config.postRollMs + this.recorderDelayMs;
+        recording.stopTimer = setTimeout(() => this.finishRecording(recording), Math.max(0, stopAt - Date.now()));
+    }
+
+    /**
+     * Stop a recorder; its `recording` event follows asynchronously
+     * @param {Object} recording - Recording entry
+     */
+    finishRecording(recording) {
+        this.recordings.delete(recording);
+        recording.stopTime = Date.now();
+        if (recording.recorder.state !== 'inactive') {
+            recording.recorder.stop();
+        }
+    }
+
+    /**
+     * Map a wall-clock time to an absolute ring buffer sample index
+     * @param {number} time - Time in ms
+     * @returns {number} Sample index
+     */
+    captureTimeToIndex(time) {
+        return Math.round((time - this.captureOrigin) * this.audioContext.sampleRate / 1000);
+    }
+
+    /**
+     * Mark the end of the current utterance
+     * @param {number} startTime - Voice onset time (ms)
+     * @param {number} endTime - Last voiced frame time (ms)
+     * @param {boolean} flush - Emit now with whatever audio is available
+     */
+    endUtterance(startTime, endTime, flush = false) {
+        if (!this.captureBuffer || !this.audioContext) return;
+
+        this.pendingUtterance = {
+            startTime: startTime - this.config.preRollMs,
+            endTime: endTime + this.config.postRollMs
+        };
+
+        if (flush || this.captureTimeToIndex(this.pendingUtterance.endTime) <= this.captureBuffer.written) {
+            this.emitUtterance();
+        }
+    }
+
+    /**
+     * Emit the pending utterance
+     */
+    emitUtterance() {
+        const { startTime, endTime } = this.pendingUtterance;
+        this.pendingUtterance = null;
+
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.captureBuffer;
+        const startIndex = Math.max(this.captureTimeToIndex(startTime), buffer.written - buffer.capacity, 0);
+        const endIndex = Math.min(this.captureTimeToIndex(endTime), buffer.written);
+        if (endIndex <= startIndex) return;
+
+        const samples = buffer.read(startIndex, endIndex);
+        const actualStart = this.captureOrigin + startIndex * 1000 / sampleRate;
+
+        this.trigger('utterance', {
+            samples,
+            sampleRate,
+            startTime: actualStart,
+            endTime: actualStart + samples.length * 1000 / sampleRate,
+            duration: samples.length * 1000 / sampleRate
+        });
+    }
+
+    /**
+     * Measure the current analyser frame with every supported metric
+     * Normalized 0-1 levels, which drive the same threshold logic:
+     * - spectral: average of the byte frequency bins scaled by `sensitivity` (legacy)
+     * - rms: time-domain root mean square amplitude
+     * - peak: time-domain absolute peak amplitude
+     * - dbfsLevel: RMS in dBFS mapped linearly from `minDb`..0 to 0..1 (the 'dbfs' metric)
+     * plus `dbfs`, the raw RMS level in dBFS (-Infinity for digital silence).
+     * @param {Float32Array} hopSamples - Time-domain samples to use instead of the analyser's
+     * @returns {Object} Levels - read the configured metric with getMetricLevel()
+     */
+    measureLevels(hopSamples = null) {
+        // Get frequency data
+        this.analyser.getByteFrequencyData(this.dataArray);
+
+        // Calculate average volume
+        let sum = 0;
+        for (let i = 0; i < this.dataArray.length; i++) {
+            sum += this.dataArray[i];
+        }
+        const average = sum / this.dataArray.length;
+        const spectral = (average / 255) * this.config.sensitivity;
+
+        // Get time-domain samples (-1..1) unless they were captured on the audio thread
+        const samples = hopSamples || this.timeDomainData;
+        if (!hopSamples && this.analyser.getFloatTimeDomainData) {
+            this.analyser.getFloatTimeDomainData(samples);
+        } else if (!hopSamples) {
+            // Older Safari only exposes byte samples centred on 128
+            const bytes = new Uint8Array(samples.length);
+            this.analyser.getByteTimeDomainData(bytes);
+            for (let i = 0; i < bytes.length; i++) {
+                samples[i] = (bytes[i] - 128) / 128;
+            }
+        }
+
+        let sumSquares = 0;
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            sumSquares += sample * sample;
+            const magnitude = Math.abs(sample);
+            if (magnitude > peak) peak = magnitude;
+        }
+        const rms = Math.sqrt(sumSquares / samples.length);
+        const dbfs = VoiceActivityDetector.amplitudeToDb(rms);
+
+        const levels = {
+            spectral,
+            rms,
+            peak,
+            dbfsLevel: this.dbToLevel(dbfs, 'dbfs'),
+            dbfs
+        };
+
+        levels.samples = samples;
+
+        if (this.referenceAnalyser) {
+            this.referenceAnalyser.getFloatTimeDomainData(this.referenceData);
+            let referenceSquares = 0;
+            for (let i = 0; i < this.referenceData.length; i++) {
+                referenceSquares += this.referenceData[i] * this.referenceData[i];
+            }
+            levels.referenceDb = VoiceActivityDetector.amplitudeToDb(Math.sqrt(referenceSquares / this.referenceData.length));
+        }
+
+        if (this.config.pitchDetection) {
+            const pitchSamples = this.getPitchSamples(hopSamples);
+            levels.pitch = rms > VoiceActivityDetector.dbToAmplitude(this.config.minDb) ?
+                this.estimatePitch(pitchSamples, this.state.sampleRate) : null;
+        }
+
+        if (this.config.timbreFeatures) {
+            levels.timbre = this.computeTimbreFeatures(this.dataArray, this.state.sampleRate);
+        }
+
+        if (this.getEngine().requiresFeatures) {
+            this.analyser.getFloatFrequencyData(this.frequencyData);
+            levels.features = this.computeSpeechFeatures(this.frequencyData, samples, this.state.sampleRate);
+        }
+
+        return levels;
+    }
+
+    /**
+     * Get a time-domain window long enough for pitch estimation
+     * Hops are appended to a rolling history; in frame mode a second analyser
+     * with a larger fftSize is tapped off the source when the main one is too small.
+     * @param {Float32Array|null} hopSamples - Samples from the audio thread, if any
+     * @returns {Float32Array} Most recent samples
+     */
+    getPitchSamples(hopSamples) {
+        // YIN needs two periods of the lowest pitch
+        const needed = 2 * Math.ceil(this.state.sampleRate / this.config.minPitch);
+        let size = 2048;
+        while (size < needed && size < 32768) {
+            size *= 2;
+        }
+
+        if (hopSamples) {
+            if (!this.pitchHistory || this.pitchHistory.length !== size) {
+                this.pitchHistory = new Float32Array(size);
+            }
+            const history = this.pitchHistory;
+            if (hopSamples.length >= size) {
+                history.set(hopSamples.subarray(hopSamples.length - size));
+            } else {
+                history.copyWithin(0, hopSamples.length);
+                history.set(hopSamples, size - hopSamples.length);
+            }
+            return history;
+        }
+
+        if (this.analyser.fftSize >= size || !this.microphone) {
+            return this.timeDomainData;
+        }
+
+        if (!this.pitchAnalyser || this.pitchAnalyser.fftSize !== size) {
+            this.disconnectPitchAnalyser();
+            this.pitchAnalyser = this.audioContext.createAnalyser();
+            this.pitchAnalyser.fftSize = size;
+            this.pitchData = new Float32Array(size);
+            this.microphone.connect(this.pitchAnalyser);
+        }
+        this.pitchAnalyser.getFloatTimeDomainData(this.pitchData);
+        return this.pitchData;
+    }
+
+    /**
+     * Detach the frame-mode pitch analyser
+     */
+    disconnectPitchAnalyser() {
+        if (this.pitchAnalyser && this.microphone) {
+            try {
+                this.microphone.disconnect(this.pitchAnalyser);
+            } catch (error) {
+                this.log('Pitch analyser disconnect failed:', error);
+            }
+        }
+        this.pitchAnalyser = null;
+        this.pitchData = null;
+    }
+
+    /**
+     * Read a metric's normalized 0-1 level from measureLevels() output
+     * @param {Object} levels - Frame levels
+     * @param {string} metric - Level metric (defaults to config.levelMetric)
+     * @returns {number} Normalized level
+     */
+    getMetricLevel(levels, metric = this.config.levelMetric) {
+        return metric === 'dbfs' ? levels.dbfsLevel : levels[metric];
+    }
+
+    /**
+     * Estimate the fundamental frequency of a frame with the YIN algorithm
+     * @param {Float32Array} samples - Time-domain samples (-1..1)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object|null} { frequency, confidence }, or null when the frame is not voiced
+     */
+    estimatePitch(samples, sampleRate) {
+        const minTau = Math.max(2, Math.floor(sampleRate / this.config.maxPitch));
+        const maxTau = Math.min(Math.ceil(sampleRate / this.config.minPitch), Math.floor(samples.length / 2));
+        if (maxTau <= minTau) return null;
+
+        if (!this.yinBuffer || this.yinBuffer.length !== maxTau + 1) {
+            this.yinBuffer = new Float32Array(maxTau + 1);
+        }
+        const yin = this.yinBuffer;
+        const windowSize = samples.length - maxTau;
+
+        // Cumulative mean normalized difference function
+        yin[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxTau; tau++) {
+            let difference = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = samples[i] - samples[i + tau];
+                difference += delta * delta;
+            }
+            runningSum += difference;
+            yin[tau] = runningSum > 0 ? difference * tau / runningSum : 1;
+        }
+
+        // First dip below the threshold, followed down to its local minimum
+        let tau = minTau;
+        while (tau <= maxTau && yin[tau] >= this.config.pitchThreshold) {
+            tau++;
+        }
+        if (tau > maxTau) return null;
+        while (tau + 1 <= maxTau && yin[tau + 1] < yin[tau]) {
+            tau++;
+        }
+
+        // Parabolic interpolation around the minimum
+        let period = tau;
+        if (tau > 1 && tau < maxTau) {
+            const previous = yin[tau - 1];
+            const next = yin[tau + 1];
+            const denominator = 2 * (2 * yin[tau] - previous - next);
+            if (denominator !== 0) {
+                period = tau + (next - previous) / denominator;
+            }
+        }
+
+        return {
+            frequency: sampleRate / period,
+            confidence: Math.max(0, Math.min(1, 1 - yin[tau]))
+        };
+    }
+
+    /**
+     * Compute timbre features for a single frame
+     * Band energies are the mean byte magnitude (0-1) in each band, like the
+     * spectral level metric. The centroid is the magnitude-weighted mean
+     * frequency in Hz and the flux is the mean positive change per bin since
+     * the previous frame (0-1).
+     * @param {Uint8Array} byteData - Byte spectrum (getByteFrequencyData)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { bands: { low, mid, high }, centroid, flux }
+     */
+    computeTimbreFeatures(byteData, sampleRate) {
+        const binWidth = sampleRate / (byteData.length * 2);
+        const [lowMid, midHigh] = this.config.bandSplits;
+        const dbRange = this.analyser.maxDecibels - this.analyser.minDecibels;
+
+        if (!this.previousSpectrum || this.previousSpectrum.length !== byteData.length) {
+            this.previousSpectrum = new Float32Array(byteData.length);
+        }
+
+        const sums = { low: 0, mid: 0, high: 0 };
+        const counts = { low: 0, mid: 0, high: 0 };
+        let weightedFrequency = 0;
+        let magnitudeSum = 0;
+        let flux = 0;
+
+        for (let i = 0; i < byteData.length; i++) {
+            const value = byteData[i] / 255;
+            const frequency = i * binWidth;
+            const band = frequency < lowMid ? 'low' : frequency < midHigh ? 'mid' : 'high';
+            sums[band] += value;
+            counts[band]++;
+
+            // Undo the analyser's dB mapping to weight the centroid by magnitude
+            if (byteData[i] > 0) {
+                const magnitude = Math.pow(10, (this.analyser.minDecibels + value * dbRange) / 20);
+                weightedFrequency += frequency * magnitude;
+                magnitudeSum += magnitude;
+            }
+
+            flux += Math.max(0, value - this.previousSpectrum[i]);
+            this.previousSpectrum[i] = value;
+        }
+
+        return {
+            bands: {
+                low: counts.low ? sums.low / counts.low : 0,
+                mid: counts.mid ? sums.mid / counts.mid : 0,
+                high: counts.high ? sums.high / counts.high : 0
+            },
+            centroid: magnitudeSum > 0 ? weightedFrequency / magnitudeSum : 0,
+            flux: flux / byteData.length
+        };
+    }
+
+    /**
+     * Compute speech features for a single frame
+     * Bin frequencies are derived from the real sample rate and FFT size, so the
+     * speech band stays correct at 44.1 kHz, 48 kHz or any forced rate. Larger
+     * fftSize values (1024+) give a finer band split.
+     * @param {Float32Array} frequencyDb - Magnitude spectrum in dB (getFloatFrequencyData)
+     * @param {Float32Array} samples - Time-domain samples (-1..1)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { speechBandRatio, spectralFlatness, zeroCrossingRate, isVoiced }
+     */
+    computeSpeechFeatures(frequencyDb, samples, sampleRate) {
+        const binWidth = sampleRate / (frequencyDb.length * 2);
+        const [lowHz, highHz] = this.config.speechBand;
+        const lowBin = Math.max(1, Math.floor(lowHz / binWidth));
+        const highBin = Math.min(frequencyDb.length - 1, Math.ceil(highHz / binWidth));
+
+        // Band energy ratio and spectral flatness (geometric / arithmetic mean of power)
+        let totalPower = 0;
+        let bandPower = 0;
+        let logSum = 0;
+        for (let i = 1; i < frequencyDb.length; i++) {
+            const power = Math.pow(10, frequencyDb[i] / 10);
+            totalPower += power;
+            if (i >= lowBin && i <= highBin) {
+                bandPower += power;
+                logSum += Math.log(power + 1e-20);
+            }
+        }
+        const bandBins = highBin - lowBin + 1;
+        const speechBandRatio = totalPower > 0 ? bandPower / totalPower : 0;
+        const arithmeticMean = bandPower / bandBins;
+        const spectralFlatness = arithmeticMean > 0 ? Math.exp(logSum / bandBins) / arithmeticMean : 1;
+
+        // Zero-crossing rate (crossings per sample)
+        let crossings = 0;
+        for (let i = 1; i < samples.length; i++) {
+            if ((samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+        }
+        const zeroCrossingRate = crossings / (samples.length - 1);
+
+        const isVoiced = speechBandRatio >= this.config.minSpeechBandRatio &&
+                         spectralFlatness <= this.config.maxSpectralFlatness &&
+                         zeroCrossingRate <= this.config.maxZeroCrossingRate;
+
+        return { speechBandRatio, spectralFlatness, zeroCrossingRate, isVoiced };
+    }
+
+    /**
+     * Convert a dBFS value to a level in the given metric's 0-1 scale
+     * @param {number} db - Value in dBFS
+     * @param {string} metric - Level metric (defaults to config.levelMetric)
+     * @returns {number} Normalized level
+     */
+    dbToLevel(db, metric = this.config.levelMetric) {
+        if (metric === 'dbfs') {
+            const minDb = this.config.minDb;
+            return Math.max(0, Math.min(1, (db - minDb) / -minDb));
+        }
+        return VoiceActivityDetector.dbToAmplitude(db);
+    }
+
+    /**
+     * Convert a level in the given metric's 0-1 scale to dBFS
+     * The spectral metric is not calibrated, so its dB value is only approximate.
+     * @param {number} level - Normalized level
+     * @param {string} metric - Level metric (defaults to config.levelMetric)
+     * @returns {number} Value in dBFS
+     */
+    levelToDb(level, metric = this.config.levelMetric) {
+        if (metric === 'dbfs') {
+            const minDb = this.config.minDb;
+            return minDb + level * -minDb;
+        }
+        return VoiceActivityDetector.amplitudeToDb(level);
+    }
+
+    /**
+     * Get the threshold in the current metric's scale
+     * `thresholdDb` takes precedence over `threshold` when set.
+     * @returns {number} Threshold level
+     */
+    getThreshold() {
+        if (this.config.adaptiveNoiseFloor && this.state.noiseFloor > 0) {
+            return this.thresholdFromFloor(this.state.noiseFloor);
+        }
+        if (typeof this.config.thresholdDb === 'number') {
+            return this.dbToLevel(this.config.thresholdDb);
+        }
+        return this.config.threshold;
+    }
+
+    /**
+     * Get the threshold for the current VAD state
+     * Speech starts above the start threshold and continues while above the
+     * end threshold, so levels hovering near one value do not flap. Fixed
+     * `startThreshold`/`endThreshold` levels win over the dB offsets.
+     * @returns {number} Threshold level
+     */
+    getActiveThreshold() {
+        const speaking = this.state.isVoiceDetected;
+        const fixed = speaking ? this.config.endThreshold : this.config.startThreshold;
+        if (typeof fixed === 'number') return fixed;
+
+        const threshold = this.getThreshold();
+        const offsetDb = speaking ? this.config.endOffsetDb : this.config.startOffsetDb;
+        return typeof offsetDb === 'number' ? this.dbToLevel(this.levelToDb(threshold) + offsetDb) : threshold;
+    }
+
+    /**
+     * Derive a threshold from a noise floor level using `noiseMarginDb`
+     * @param {number} noiseFloor - Noise floor in the current metric's scale
+     * @returns {number} Threshold level
+     */
+    thresholdFromFloor(noiseFloor) {
+        const floorDb = Math.max(this.config.minDb, this.levelToDb(noiseFloor));
+        return this.dbToLevel(floorDb + Math.max(this.config.noiseMarginDb, this.state.calibrationMarginDb));
+    }
+
+    /**
+     * Measure the room's noise floor and pick a threshold from it
+     * The user should stay quiet while this runs. The measured floor also seeds
+     * the adaptive tracker when `adaptiveNoiseFloor` is enabled.
+     * @param {Object} options - Calibration options
+     * @param {number} options.durationMs - Measurement duration (default 2000)
+     * @param {number} options.intervalMs - Sampling interval (default 20)
+     * @returns {Promise<Object>} { noiseFloor, noiseFloorDb, threshold, thresholdDb }
+     */
+    calibrate({ durationMs = 2000, intervalMs = 20 } = {}) {
+        if (!this.state.isConnected) {
+            return Promise.reject(new Error('Cannot calibrate: audio source not connected'));
+        }
+        if (this.state.isCalibrating) {
+            return Promise.reject(new Error('Calibration already in progress'));
+        }
+
+        this.state.isCalibrating = true;
+        this.log('Calibrating noise floor for', durationMs, 'ms');
+        if (typeof this.config.startThreshold === 'number' || typeof this.config.endThreshold === 'number') {
+            this.log('Fixed startThreshold/endThreshold ignore calibration - use startOffsetDb/endOffsetDb');
+        }
+
+        return new Promise((resolve, reject) => {
+            const samples = [];
+            const startTime = Date.now();
+
+            const sample = () => {
+                if (!this.state.isConnected) {
+                    this.state.isCalibrating = false;
+                    reject(new Error('Audio source disconnected during calibration'));
+                    return;
+                }
+
+                samples.push(this.getMetricLevel(this.measureLevels()));
+
+                if (Date.now() - startTime < durationMs) {
+                    setTimeout(sample, intervalMs);
+                    return;
+                }
+
+                this.state.isCalibrating = false;
+                resolve(this.applyCalibration(samples));
+            };
+
+            sample();
+        });
+    }
+
+    /**
+     * Apply measured calibration levels to the configuration
+     * The floor is the mean level; the threshold sits `noiseMarginDb` above it
+     * but never below the 95th percentile, so transient room noise is ignored.
+     * @param {number[]} samples - Measured levels
+     * @returns {Object} Calibration result
+     */
+    applyCalibration(samples) {
+        const sorted = samples.slice().sort((a, b) => a - b);
+        const noiseFloor = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+        const percentile95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+
+        this.state.noiseFloor = noiseFloor;
+        this.state.noiseFloorDb = this.levelToDb(noiseFloor);
+
+        // Keep the percentile guard as a margin so the adaptive tracker honours it too
+        const floorDb = Math.max(this.config.minDb, this.state.noiseFloorDb);
+        this.state.calibrationMarginDb = Math.max(0, this.levelToDb(percentile95) - floorDb);
+        const threshold = Math.max(this.thresholdFromFloor(noiseFloor), percentile95);
+
+        // Keep whichever threshold unit the user configured
+        const thresholdDb = this.levelToDb(threshold);
+        if (typeof this.config.thresholdDb === 'number') {
+            this.config.thresholdDb = thresholdDb;
+        } else {
+            this.config.threshold = threshold;
+        }
+
+        const result = {
+            noiseFloor,
+            noiseFloorDb: this.state.noiseFloorDb,
+            threshold,
+            thresholdDb
+        };
+
+        this.log('Calibration complete:', result);
+        this.trigger('calibrated', result);
+        return result;
+    }
+
+    /**
+     * Track the background noise floor
+     * The floor rises slowly and falls quickly. While speech is pending or
+     * active it may only fall, so a long utterance can't raise the threshold
+     * above itself and end early.
+     * @param {number} level - Current level
+     * @param {number} elapsed - Time since the previous frame in ms
+     */
+    updateNoiseFloor(level, elapsed) {
+        const isSpeech = this.state.vadState !== 'silence';
+
+        if (this.state.noiseFloor === 0) {
+            if (!isSpeech) {
+                this.state.noiseFloor = level;
+            }
+        } else if (isSpeech && level > this.state.noiseFloor) {
+            return;
+        } else if (elapsed > 0) {
+            const timeConstant = level > this.state.noiseFloor ?
+                this.config.noiseFloorRiseTime : this.config.noiseFloorFallTime;
+            const alpha = 1 - Math.exp(-elapsed / timeConstant);
+            this.state.noiseFloor += (level - this.state.noiseFloor) * alpha;
+        }
+        this.state.noiseFloorDb = this.levelToDb(this.state.noiseFloor);
+    }
+
+    /**
+     * Process voice activity detection logic
+     * @param {number} level - Current audio level (0-1)
+     * @param {Object} levels - All metric values for this frame (from measureLevels)
+     * @param {number} now - Frame timestamp in ms (defaults to the wall clock)
+     */
+    processVoiceActivity(level, levels = {}, now = Date.now()) {
+        const elapsed = this.state.lastFrameTime !== null ? now - this.state.lastFrameTime : 0;
+
+        // Smooth the audio level - time-based, so hop size and frame rate do not
+        // change the result; the first frame counts as one 60 fps frame
+        const frames = (this.state.lastFrameTime !== null ? elapsed : VoiceActivityDetector.SMOOTHING_FRAME_MS) /
+            VoiceActivityDetector.SMOOTHING_FRAME_MS;
+        const keep = Math.pow(this.config.smoothing, Math.max(0, frames));
+        this.state.smoothedLevel = this.state.smoothedLevel * keep + level * (1 - keep);
+
+        this.state.currentLevel = level;
+        this.state.currentDb = this.levelToDb(this.state.smoothedLevel);
+
+        if (this.config.adaptiveNoiseFloor) {
+            this.updateNoiseFloor(this.state.smoothedLevel, elapsed);
+        }
+        this.state.lastFrameTime = now;
+
+        // Session statistics
+        this.stats.frameCount++;
+        this.stats.levelSum += this.state.smoothedLevel;
+        this.stats.totalTime += elapsed;
+        this.state.isVoiced = levels.features ? levels.features.isVoiced : true;
+
+        if (this.config.pitchDetection) {
+            this.state.pitch = levels.pitch || null;
+        }
+
+        if (levels.timbre) {
+            this.state.bands = levels.timbre.bands;
+            this.state.spectralCentroid = levels.timbre.centroid;
+            this.state.spectralFlux = levels.timbre.flux;
+        }
+
+        // Ask the detection engine for a speech probability
+        this.state.speechProbability = this.evaluateEngine({
+            samples: levels.samples || null,
+            sampleRate: this.state.sampleRate,
+            level,
+            smoothed: this.state.smoothedLevel,
+            threshold: this.getActiveThreshold(),
+            levels,
+            features: levels.features || null,
+            timestamp: now
+        });
+
+        // Trigger level callback
+        // raw/smoothed: the active metric's 0-1 level; smoothedDb: smoothed converted to dBFS;
+        // rms/peak/dbfsLevel: 0-1 metrics for this frame; dbfs: raw RMS in dBFS
+        this.trigger('voiceLevel', {
+            raw: level,
+            smoothed: this.state.smoothedLevel,
+            metric: this.config.levelMetric,
+            smoothedDb: this.state.currentDb,
+            rms: levels.rms,
+            peak: levels.peak,
+            dbfsLevel: levels.dbfsLevel,
+            dbfs: levels.dbfs,
+            features: levels.features || null,
+            bands: levels.timbre ? levels.timbre.bands : null,
+            centroid: levels.timbre ? levels.timbre.centroid : null,
+            flux: levels.timbre ? levels.timbre.flux : null,
+            pitch: this.state.pitch,
+            probability: this.state.speechProbability,
+            timestamp: now
+        });
+
+        if (this.config.pitchDetection) {
+            this.trigger('pitch', {
+                frequency: this.state.pitch ? this.state.pitch.frequency : null,
+                confidence: this.state.pitch ? this.state.pitch.confidence : 0,
+                timestamp: now
+            });
+        }
+
+        const endProbability = this.config.endProbabilityThreshold;
+        const probabilityThreshold = this.state.isVoiceDetected && typeof endProbability === 'number' ?
+            endProbability : this.config.probabilityThreshold;
+        // During assistant playback only frames louder than the expected echo count
+        const isEcho = this.referenceAnalyser && typeof levels.referenceDb === 'number' ?
+            this.updateBargeIn(levels, now, elapsed) : false;
+        const gateMode = this.config.gateMode;
+        const isGated = gateMode === 'manualVad' && !this.state.isGateOpen;
+        const isAboveThreshold = !isEcho && !isGated && this.state.speechProbability >= probabilityThreshold;
+
+        // The gate alone decides in manual mode
+        if (gateMode === 'manual') {
+            if (this.state.isGateOpen) {
+                this.state.lastVoiceTime = now;
+            }
+            return;
+        }
+
+        if (isAboveThreshold) {
+            this.state.lastVoiceTime = now;
+        }
+
+        switch (this.state.vadState) {
+            case 'silence':
+                if (isAboveThreshold) {
+                    this.state.voiceStartTime = now;
+                    this.setVADState('pendingStart', now);
+                    this.checkVoiceStart(now);
+                }
+                break;
+
+            case 'pendingStart':
+                if (isAboveThreshold) {
+                    this.checkVoiceStart(now);
+                } else {
+                    // Dropped below threshold before reaching minimum duration
+                    this.state.voiceStartTime = 0;
+                    this.stats.falseStarts++;
+                    this.setVADState('silence', now);
+                }
+                break;
+
+            case 'speaking':
+                if (!isAboveThreshold) {
+                    // Below threshold - potential silence
+                    this.state.silenceStartTime = now;
+                    this.setVADState('pendingEnd', now);
+                }
+                break;
+
+            case 'pendingEnd':
+                if (isAboveThreshold) {
+                    // Voice resumed within maxSilence
+                    this.state.silenceStartTime = 0;
+                    this.setVADState('speaking', now);
+                } else if (now - this.state.silenceStartTime >= this.config.maxSilence) {
+                    this.endVoice(now);
+                }
+                break;
+        }
+    }
+
+    /**
+     * End voice activity and emit `voiceEnd` (and the utterance, if capturing)
+     * @param {number} now - Frame timestamp in ms
+     */
+    endVoice(now) {
+        const voiceStartTime = this.state.voiceStartTime;
+        this.recordUtterance(this.state.lastVoiceTime - voiceStartTime);
+        this.state.isVoiceDetected = false;
+        this.state.voiceStartTime = 0;
+        this.state.silenceStartTime = 0;
+        this.setVADState('silence', now);
+        this.log('Voice activity ended');
+        this.trigger('voiceEnd');
+        this.endUtterance(voiceStartTime, this.state.lastVoiceTime);
+        this.stopRecording(this.state.lastVoiceTime);
+    }
+
+    /**
+     * Open or close the manual gate (push-to-talk)
+     * In 'manual' gate mode opening starts voice activity and closing ends it.
+     * In 'manualVad' mode the VAD only detects speech while the gate is open,
+     * trimming silence inside the window, and closing ends any speech at once.
+     * @param {boolean} open - Whether the user is holding the talk control
+     * @returns {boolean} Success status
+     */
+    setGate(open) {
+        if (!this.config.gateMode) {
+            this.log('Cannot set gate: gateMode is not enabled');
+            return false;
+        }
+        if (open && !this.state.isActive) {
+            this.log('Cannot open gate: VAD not active');
+            return false;
+        }
+        if (this.state.isGateOpen === open) return true;
+
+        const now = Date.now();
+        this.state.isGateOpen = open;
+        this.trigger('gateChange', { open, timestamp: now });
+
+        if (open && this.config.gateMode === 'manual' && !this.state.isVoiceDetected) {
+            this.state.voiceStartTime = now;
+            this.state.lastVoiceTime = now;
+            this.startVoice(now);
+        } else if (!open) {
+            if (this.state.isVoiceDetected) {
+                if (this.config.gateMode === 'manual') {
+                    this.state.lastVoiceTime = now;
+                }
+                this.endVoice(now);
+            } else {
+                this.state.voiceStartTime = 0;
+                this.setVADState('silence', now);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Start voice activity once the pending start has lasted minDuration
+     * @param {number} now - Frame timestamp in ms
+     */
+    checkVoiceStart(now) {
+        if (now - this.state.voiceStartTime < this.config.minDuration) return;
+
+        // Voice detected for minimum duration
+        this.startVoice(now);
+    }
+
+    /**
+     * Start voice activity and emit `voiceStart`
+     * @param {number} now - Frame timestamp in ms
+     */
+    startVoice(now) {
+        this.state.isVoiceDetected = true;
+        this.state.silenceStartTime = 0;
+        this.setVADState('speaking', now);
+        this.log('Voice activity started');
+        this.trigger('voiceStart');
+        this.startRecording();
+    }
+
+    /**
+     * Move the VAD state machine to a new state
+     * @param {string} to - 'silence', 'pendingStart', 'speaking' or 'pendingEnd'
+     * @param {number} now - Frame timestamp in ms
+     */
+    setVADState(to, now = Date.now()) {
+        const from = this.state.vadState;
+        if (from === to) return;
+
+        this.state.vadState = to;
+        this.trigger('stateChange', { from, to, timestamp: now });
+    }
+
+    /**
+     * Use a custom detection engine
+     * An engine is an object with `process(frame)` returning a speech probability
+     * (0-1) or a Promise of one, plus optional `init(detector)`, `reset()` and
+     * `dispose()` hooks and a `requiresFeatures` flag. The frame carries
+     * `samples` (reused between frames - copy to keep), `sampleRate`, `level`,
+     * `smoothed`, `threshold`, `levels`, `features` and `timestamp`.
+     * Asynchronous engines are polled: the last resolved probability is used
+     * until the next result arrives.
+     * @param {Object|null} engine - Engine instance, or null for the built-in engine
+     * @returns {Promise<boolean>} Success status
+     */
+    async useEngine(engine) {
+        try {
+            if (engine && typeof engine.process !== 'function') {
+                throw new Error('Engine must implement process(frame)');
+            }
+
+            if (engine && typeof engine.init === 'function') {
+                await engine.init(this);
+            }
+
+            const previous = this.engine;
+            this.engine = engine || null;
+            this.engineGeneration++;
+            this.state.speechProbability = 0;
+
+            if (previous && previous !== this.engine && typeof previous.dispose === 'function') {
+                previous.dispose();
+            }
+
+            this.log('Detection engine set to:', this.getEngine().name || 'custom');
+            return true;
+        } catch (error) {
+            this.log('Failed to set engine:', error);
+            this.trigger('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the active detection engine
+     * @returns {Object} Engine instance
+     */
+    getEngine() {
+        return this.engine || this.builtInEngines[this.config.detectionMode] || this.builtInEngines.energy;
+    }
+
+    /**
+     * Run the active engine on a frame
+     * @param {Object} frame - Analysis frame
+     * @returns {number} Speech probability (0-1)
+     */
+    evaluateEngine(frame) {
+        // Asynchronous engines still get every frame, so they can queue audio
+        // while an earlier inference is running instead of losing hops
+        const engine = this.getEngine();
+        const result = engine.process(frame);
+
+        if (result && typeof result.then === 'function') {
+            if (this.requireSyncEngine) {
+                result.catch(() => {});
+                throw new Error('Engine returned a Promise - offline analysis needs a synchronous engine');
+            }
+
+            const generation = this.engineGeneration;
+            result.then((probability) => {
+                if (this.engineGeneration === generation) {
+                    this.state.speechProbability = probability;
+                }
+            }).catch((error) => {
+                this.log('Engine error:', error);
+                this.trigger('error', error);
+            });
+            return this.state.speechProbability;
+        }
+
+        return result;
+    }
+
+    /**
+     * Reset VAD state
+     */
+    resetVADState() {
+        this.state.isVoiceDetected = false;
+        this.state.isGateOpen = false;
+        this.state.vadState = 'silence';
+        this.state.lastVoiceTime = 0;
+        this.state.voiceStartTime = 0;
+        this.state.silenceStartTime = 0;
+        this.state.currentLevel = 0;
+        this.state.smoothedLevel = 0;
+        this.state.currentDb = -Infinity;
+        this.state.isVoiced = false;
+        this.state.speechProbability = 0;
+        this.state.bands = { low: 0, mid: 0, high: 0 };
+        this.state.spectralCentroid = 0;
+        this.state.spectralFlux = 0;
+        this.state.pitch = null;
+        this.previousSpectrum = null;
+        this.state.lastFrameTime = null;
+        this.engineGeneration++;
+
+        const engine = this.getEngine();
+        if (typeof engine.reset === 'function') {
+            engine.reset();
+        }
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration options
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+        this.log('Configuration updated:', newConfig);
+    }
+
+    /**
+     * Add a finished utterance to the session statistics
+     * @param {number} duration - Utterance duration in ms
+     */
+    recordUtterance(duration) {
+        this.stats.utteranceCount++;
+        this.stats.utteranceTime += duration;
+        this.stats.maxUtteranceDuration = Math.max(this.stats.maxUtteranceDuration, duration);
+    }
+
+    /**
+     * Get session speech statistics
+     * Times are in ms and cover analysed frames since construction or resetStats().
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const stats = this.stats;
+
+        // Speech time is the utterances themselves (pendingStart/pendingEnd spans
+        // included), so the ratios agree with the utterance durations
+        let speechTime = stats.utteranceTime;
+        if (this.state.isVoiceDetected) {
+            speechTime += this.state.lastVoiceTime - this.state.voiceStartTime;
+        }
+        speechTime = Math.min(speechTime, stats.totalTime);
+        const silenceTime = stats.totalTime - speechTime;
+
+        return {
+            utteranceCount: stats.utteranceCount,
+            averageUtteranceDuration: stats.utteranceCount ? stats.utteranceTime / stats.utteranceCount : 0,
+            maxUtteranceDuration: stats.maxUtteranceDuration,
+            falseStarts: stats.falseStarts,
+            speechTime,
+            silenceTime,
+            totalTime: stats.totalTime,
+            speechRatio: stats.totalTime ? speechTime / stats.totalTime : 0,
+            speechToSilenceRatio: silenceTime > 0 ? speechTime / silenceTime : 0,
+            averageLevel: stats.frameCount ? stats.levelSum / stats.frameCount : 0,
+            frameCount: stats.frameCount
+        };
+    }
+
+    /**
+     * Clear session statistics
+     */
+    resetStats() {
+        this.stats = {
+            utteranceCount: 0,
+            utteranceTime: 0,
+            maxUtteranceDuration: 0,
+            falseStarts: 0,
+            totalTime: 0,
+            levelSum: 0,
+            frameCount: 0
+        };
+    }
+
+    /**
+     * Get current state
+     * @returns {Object} Current state
+     */
+    getState() {
+        return { ...this.state, bands: { ...this.state.bands } };
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+        return { ...this.config };
+    }
+
+    /**
+     * Add event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    /**
+     * Remove event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function to remove
+     */
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Trigger event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    trigger(event, data = null) {
+        // Trigger registered listeners
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data, this);
+                } catch (error) {
+                    this.log('Event callback error:', error);
+                }
+            });
+        }
+
+        // Trigger config callbacks
+        const callbackName = 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+        if (this.config[callbackName] && typeof this.config[callbackName] === 'function') {
+            try {
+                this.config[callbackName](data, this);
+            } catch (error) {
+                this.log('Config callback error:', error);
+            }
+        }
+    }
+
+    /**
+     * Register the hop-capture AudioWorklet processor on a context
+     * The module is loaded from a Blob URL so the detector stays a single file.
+     * @param {AudioContext} context - Audio context
+     * @returns {Promise<void>}
+     */
+    static loadWorklet(context) {
+        if (!VoiceActivityDetector.workletModules.has(context)) {
+            const blob = new Blob([VoiceActivityDetector.getWorkletSource()], { type: 'application/javascript' });
+            const url = URL.createObjectURL(blob);
+            const loading = context.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+            loading.catch(() => VoiceActivityDetector.workletModules.delete(context));
+            VoiceActivityDetector.workletModules.set(context, loading);
+        }
+        return VoiceActivityDetector.workletModules.get(context);
+    }
+
+    /**
+     * Source of the hop-capture AudioWorklet processor
+     * It buffers the first input channel into `hopSize` blocks and posts each
+     * block with the context time of its first sample.
+     * @returns {string} Processor module source
+     */
+    static getWorkletSource() {
+        return `
+class VoiceActivityHopProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.hopSize = options.processorOptions.hopSize;
+        this.buffer = new Float32Array(this.hopSize);
+        this.offset = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        for (let i = 0; i < channel.length; i++) {
+            this.buffer[this.offset++] = channel[i];
+            if (this.offset === this.hopSize) {
+                const time = (currentFrame + i + 1 - this.hopSize) / sampleRate;
+                this.port.postMessage({ samples: this.buffer, time }, [this.buffer.buffer]);
+                this.buffer = new Float32Array(this.hopSize);
+                this.offset = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('voice-activity-hop', VoiceActivityHopProcessor);
+`;
+    }
+
+    /**
+     * Run detection over recorded audio
+     * Uses the same level metering, engine and state machine as live detection,
+     * driven by sample positions instead of Date.now() and requestAnimationFrame.
+     * Times are in ms from the start of the audio. Asynchronous engines are not
+     * supported here because every frame must be decided before the next one:
+     * an engine whose init() or process() returns a Promise throws.
+     * @param {AudioBuffer|Float32Array} input - Audio to analyse (AudioBuffers are mixed to mono)
+     * @param {number} sampleRate - Sample rate of a Float32Array input (ignored for AudioBuffers)
+     * @param {Object} options - Detector configuration, plus:
+     * @param {Object} options.engine - Synchronous detection engine to use
+     * @param {boolean} options.includeFrames - Return per-frame levels (default true)
+     * @returns {Object} { sampleRate, duration, hopSize, segments, frames }
+     * @throws {Error} If the input is invalid or the engine is asynchronous
+     */
+    static analyzeBuffer(input, sampleRate, options = {}) {
+        const { engine = null, includeFrames = true, ...config } = options;
+        let samples = input;
+
+        if (input && typeof input.getChannelData === 'function') {
+            sampleRate = input.sampleRate;
+            samples = new Float32Array(input.length);
+            for (let channel = 0; channel < input.numberOfChannels; channel++) {
+                const data = input.getChannelData(channel);
+                for (let i = 0; i < data.length; i++) {
+                    samples[i] += data[i] / input.numberOfChannels;
+                }
+            }
+        }
+
+        if (!(samples instanceof Float32Array) || !sampleRate) {
+            throw new Error('analyzeBuffer requires an AudioBuffer or a Float32Array and sample rate');
+        }
+
+        const detector = new VoiceActivityDetector({ ...config, captureUtterances: false });
+        detector.requireSyncEngine = true;
+
+        // Same setup as useEngine(), minus the await
+        if (engine) {
+            if (typeof engine.process !== 'function') {
+                throw new Error('Engine must implement process(frame)');
+            }
+            if (typeof engine.init === 'function') {
+                const ready = engine.init(detector);
+                if (ready && typeof ready.then === 'function') {
+                    ready.catch(() => {});
+                    throw new Error('Engine init() returned a Promise - offline analysis needs a synchronous engine');
+                }
+            }
+        }
+        detector.engine = engine;
+        detector.analyser = new OfflineAnalyser(detector.config.fftSize);
+        detector.dataArray = new Uint8Array(detector.analyser.frequencyBinCount);
+        detector.timeDomainData = new Float32Array(detector.analyser.fftSize);
+        detector.frequencyData = new Float32Array(detector.analyser.frequencyBinCount);
+        detector.state.sampleRate = sampleRate;
+        detector.state.isActive = true;
+        detector.resetVADState();
+
+        const hopSize = detector.config.hopSize;
+        const hopDuration = hopSize * 1000 / sampleRate;
+        const segments = [];
+        const frames = [];
+        let current = null;
+
+        detector.on('voiceStart', (data, vad) => {
+            current = {
+                start: vad.state.voiceStartTime,
+                detectedAt: vad.state.lastFrameTime
+            };
+        });
+
+        detector.on('voiceEnd', (data, vad) => {
+            if (!current) return;
+            current.end = Math.min(vad.state.lastVoiceTime + hopDuration, samples.length * 1000 / sampleRate);
+            current.endedAt = vad.state.lastFrameTime;
+            current.duration = current.end - current.start;
+            segments.push(current);
+            current = null;
+        });
+
+        if (includeFrames) {
+            detector.on('voiceLevel', (data, vad) => {
+                frames.push({
+                    time: data.timestamp,
+                    raw: data.raw,
+                    smoothed: data.smoothed,
+                    smoothedDb: data.smoothedDb,
+                    probability: data.probability,
+                    state: vad.state.vadState
+                });
+            });
+        }
+
+        for (let offset = 0; offset + hopSize <= samples.length; offset += hopSize) {
+            const hop = samples.subarray(offset, offset + hopSize);
+            const timestamp = offset * 1000 / sampleRate;
+
+            detector.analyser.push(hop);
+            const levels = detector.measureLevels(hop);
+            detector.processVoiceActivity(detector.getMetricLevel(levels), levels, timestamp);
+        }
+
+        // Close a segment still open at the end of the audio
+        if (current) {
+            detector.state.lastFrameTime = samples.length * 1000 / sampleRate;
+            detector.trigger('voiceEnd');
+            segments[segments.length - 1].truncated = true;
+        }
+
+        detector.eventListeners.clear();
+
+        return {
+            sampleRate,
+            duration: samples.length * 1000 / sampleRate,
+            hopSize,
+            segments,
+            frames
+        };
+    }
+
+    /**
+     * Resample mono PCM to another rate
+     * Downsampling averages each output sample's input span (a box low-pass)
+     * to limit aliasing; upsampling interpolates linearly.
+     * @param {Float32Array} samples - Input samples
+     * @param {number} fromRate - Input sample rate
+     * @param {number} toRate - Output sample rate (e.g. 16000)
+     * @returns {Float32Array} Resampled samples
+     */
+    static resample(samples, fromRate, toRate) {
+        if (!fromRate || fromRate === toRate) {
+            return new Float32Array(samples);
+        }
+
+        const ratio = fromRate / toRate;
+        const length = Math.floor(samples.length / ratio);
+        const output = new Float32Array(length);
+
+        for (let i = 0; i < length; i++) {
+            const position = i * ratio;
+            const index = Math.floor(position);
+
+            if (ratio > 1) {
+                const end = Math.min(samples.length, Math.floor(position + ratio));
+                let sum = 0;
+                for (let j = index; j < end; j++) {
+                    sum += samples[j];
+                }
+                output[i] = sum / Math.max(1, end - index);
+            } else {
+                const next = Math.min(index + 1, samples.length - 1);
+                output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Convert float samples (-1..1) to 16-bit signed PCM
+     * @param {Float32Array} samples - Input samples
+     * @returns {Int16Array} PCM samples
+     */
+    static floatTo16BitPCM(samples) {
+        const output = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+        return output;
+    }
+
+    /**
+     * Encode mono float samples as a 16-bit PCM WAV file
+     * @param {Float32Array} samples - Input samples
+     * @param {number} sampleRate - Sample rate of the input
+     * @param {Object} options - Encoding options
+     * @param {number} options.targetSampleRate - Resample before encoding (e.g. 16000)
+     * @returns {ArrayBuffer} WAV file bytes
+     */
+    static encodeWAV(samples, sampleRate, { targetSampleRate = sampleRate } = {}) {
+        const pcm = VoiceActivityDetector.floatTo16BitPCM(
+            VoiceActivityDetector.resample(samples, sampleRate, targetSampleRate)
+        );
+        const buffer = new ArrayBuffer(44 + pcm.length * 2);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        // RIFF header
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + pcm.length * 2, true);
+        writeString(8, 'WAVE');
+
+        // fmt chunk - PCM, mono, 16-bit
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, targetSampleRate, true);
+        view.setUint32(28, targetSampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+
+        // data chunk
+        writeString(36, 'data');
+        view.setUint32(40, pcm.length * 2, true);
+        for (let i = 0; i < pcm.length; i++) {
+            view.setInt16(44 + i * 2, pcm[i], true);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Encode mono float samples as a WAV Blob
+     * @param {Float32Array} samples - Input samples
+     * @param {number} sampleRate - Sample rate of the input
+     * @param {Object} options - See encodeWAV
+     * @returns {Blob} audio/wav Blob
+     */
+    static encodeWAVBlob(samples, sampleRate, options = {}) {
+        return new Blob([VoiceActivityDetector.encodeWAV(samples, sampleRate, options)], { type: 'audio/wav' });
+    }
+
+    /**
+     * Encode mono float samples as base64 WAV
+     * @param {Float32Array} samples - Input samples
+     * @param {number} sampleRate - Sample rate of the input
+     * @param {Object} options - See encodeWAV
+     * @returns {string} Base64 string
+     */
+    static encodeWAVBase64(samples, sampleRate, options = {}) {
+        return VoiceActivityDetector.arrayBufferToBase64(VoiceActivityDetector.encodeWAV(samples, sampleRate, options));
+    }
+
+    /**
+     * Convert an `utterance` event payload to 16 kHz mono 16-bit WAV
+     * @param {Object} utterance - { samples, sampleRate }
+     * @param {Object} options - Encoding options
+     * @param {number} options.targetSampleRate - Output rate (default 16000)
+     * @param {string} options.format - 'arrayBuffer' (default), 'blob' or 'base64'
+     * @returns {ArrayBuffer|Blob|string} Encoded WAV
+     */
+    static utteranceToWAV(utterance, { targetSampleRate = 16000, format = 'arrayBuffer' } = {}) {
+        const wav = VoiceActivityDetector.encodeWAV(utterance.samples, utterance.sampleRate, { targetSampleRate });
+
+        if (format === 'blob') {
+            return new Blob([wav], { type: 'audio/wav' });
+        }
+        if (format === 'base64') {
+            return VoiceActivityDetector.arrayBufferToBase64(wav);
+        }
+        return wav;
+    }
+
+    /**
+     * Base64-encode an ArrayBuffer in the browser or Node
+     * @param {ArrayBuffer} buffer - Bytes to encode
+     * @returns {string} Base64 string
+     */
+    static arrayBufferToBase64(buffer) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(buffer).toString('base64');
+        }
+
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunked to stay under the argument limit of String.fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Convert a linear amplitude (0-1) to dBFS
+     * @param {number} amplitude - Linear amplitude
+     * @returns {number} Value in dBFS (-Infinity for silence)
+     */
+    static amplitudeToDb(amplitude) {
+        return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+    }
+
+    /**
+     * Convert dBFS to a linear amplitude (0-1)
+     * @param {number} db - Value in dBFS
+     * @returns {number} Linear amplitude
+     */
+    static dbToAmplitude(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    /**
+     * Pick the first MIME type MediaRecorder supports
+     * @param {string[]} candidates - MIME types in order of preference
+     * @returns {string} Supported type, or '' to use the browser default
+     */
+    static getSupportedRecorderMimeType(candidates = []) {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+            return '';
+        }
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * List available audio input devices
+     * Labels are empty until microphone permission has been granted.
+     * @returns {Promise<Array<{deviceId: string, label: string, groupId: string}>>} Input devices
+     */
+    static async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map(device => ({
+                deviceId: device.deviceId,
+                label: device.label,
+                groupId: device.groupId
+            }));
+    }
+
+    /**
+     * Check if VAD is supported
+     * @returns {boolean} Support status
+     */
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Log helper
+     * @param {...any} args - Arguments to log
+     */
+    log(...args) {
+        if (this.config.debug) {
+            console.log('[VoiceActivityDetector]', ...args);
+        }
+    }
+
+    /**
+     * Destroy the VAD instance
      */
     destroy() {
         this.disconnect();
+        if (this.permissionStatus) {
+            this.permissionStatus.removeEventListener('change', this.handlePermissionChange);
+            this.permissionStatus = null;
+        }
+        if (this.engine && typeof this.engine.dispose === 'function') {
+            this.engine.dispose();
+        }
+        this.engine = null;
         this.eventListeners.clear();
         this.log('VoiceActivityDetector destroyed');
     }
 }
 
+/**
+ * Microphone failure with a stable `code`
+ * The original browser error, if any, is kept as `cause`.
+ */
+class VoiceActivityError extends Error {
+    /**
+     * @param {string} code - One of the VoiceActivityError code constants
+     * @param {string} message - Human-readable message
+     * @param {Error} cause - Underlying error
+     */
+    constructor(code, message, cause = null) {
+        super(message);
+        this.name = 'VoiceActivityError';
+        this.code = code;
+        this.cause = cause;
+    }
+
+    /**
+     * Map a getUserMedia / DOMException error to a typed error
+     * @param {Error} error - Browser error
+     * @returns {VoiceActivityError} Typed error (returned as-is if already typed)
+     */
+    static fromMediaError(error) {
+        if (error instanceof VoiceActivityError) {
+            return error;
+        }
+
+        const codes = {
+            NotAllowedError: VoiceActivityError.PERMISSION_DENIED,
+            PermissionDeniedError: VoiceActivityError.PERMISSION_DENIED,
+            SecurityError: VoiceActivityError.PERMISSION_DENIED,
+            NotFoundError: VoiceActivityError.NO_DEVICE,
+            DevicesNotFoundError: VoiceActivityError.NO_DEVICE,
+            NotReadableError: VoiceActivityError.DEVICE_BUSY,
+            TrackStartError: VoiceActivityError.DEVICE_BUSY,
+            OverconstrainedError: VoiceActivityError.CONSTRAINTS_NOT_SATISFIED,
+            ConstraintNotSatisfiedError: VoiceActivityError.CONSTRAINTS_NOT_SATISFIED,
+            AbortError: VoiceActivityError.ABORTED,
+            TypeError: VoiceActivityError.UNSUPPORTED
+        };
+        const code = (error && codes[error.name]) || VoiceActivityError.UNKNOWN;
+        const message = (error && error.message) || 'Microphone access failed';
+
+        return new VoiceActivityError(code, message, error);
+    }
+}
+
+VoiceActivityError.PERMISSION_DENIED = 'PERMISSION_DENIED';
+VoiceActivityError.NO_DEVICE = 'NO_DEVICE';
+VoiceActivityError.DEVICE_BUSY = 'DEVICE_BUSY';
+VoiceActivityError.CONSTRAINTS_NOT_SATISFIED = 'CONSTRAINTS_NOT_SATISFIED';
+VoiceActivityError.INSECURE_CONTEXT = 'INSECURE_CONTEXT';
+VoiceActivityError.UNSUPPORTED = 'UNSUPPORTED';
+VoiceActivityError.ABORTED = 'ABORTED';
+VoiceActivityError.UNKNOWN = 'UNKNOWN';
+
+/**
+ * Fixed-capacity PCM ring buffer addressed by absolute sample index
+ */
+class PCMRingBuffer {
+    /**
+     * @param {number} capacity - Capacity in samples
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.buffer = new Float32Array(capacity);
+        this.written = 0;
+    }
+
+    /**
+     * Append samples, overwriting the oldest when full
+     * @param {Float32Array} samples - Samples to append
+     */
+    write(samples) {
+        let input = samples;
+        if (input.length > this.capacity) {
+            this.written += input.length - this.capacity;
+            input = input.subarray(input.length - this.capacity);
+        }
+
+        const offset = this.written % this.capacity;
+        const firstPart = Math.min(input.length, this.capacity - offset);
+        this.buffer.set(input.subarray(0, firstPart), offset);
+        this.buffer.set(input.subarray(firstPart), 0);
+        this.written += input.length;
+    }
+
+    /**
+     * Copy a range of samples out of the buffer
+     * The range is clamped to what is still held.
+     * @param {number} startIndex - Absolute index of the first sample
+     * @param {number} endIndex - Absolute index after the last sample
+     * @returns {Float32Array} Copied samples
+     */
+    read(startIndex, endIndex) {
+        const start = Math.max(startIndex, this.written - this.capacity, 0);
+        const end = Math.min(endIndex, this.written);
+        const output = new Float32Array(Math.max(0, end - start));
+
+        for (let i = 0; i < output.length; i++) {
+            output[i] = this.buffer[(start + i) % this.capacity];
+        }
+        return output;
+    }
+
+    /**
+     * Discard all samples
+     */
+    clear() {
+        this.written = 0;
+    }
+}
+
+/**
+ * AnalyserNode stand-in for offline analysis
+ * Mirrors the Web Audio analyser: Blackman window, magnitude scaled by 1/N,
+ * smoothingTimeConstant averaging across frames and the minDecibels/maxDecibels
+ * byte mapping, over the most recent `fftSize` samples pushed into it.
+ */
+class OfflineAnalyser {
+    /**
+     * @param {number} fftSize - FFT size (power of two)
+     */
+    constructor(fftSize) {
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.smoothingTimeConstant = 0.8;
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+
+        this.window = new Float32Array(fftSize);
+        this.magnitudes = new Float32Array(this.frequencyBinCount);
+        this.real = new Float64Array(fftSize);
+        this.imag = new Float64Array(fftSize);
+        this.isDirty = false;
+    }
+
+    /**
+     * Append samples to the analysis window
+     * @param {Float32Array} samples - New samples
+     */
+    push(samples) {
+        if (samples.length >= this.fftSize) {
+            this.window.set(samples.subarray(samples.length - this.fftSize));
+        } else {
+            this.window.copyWithin(0, samples.length);
+            this.window.set(samples, this.fftSize - samples.length);
+        }
+        this.isDirty = true;
+    }
+
+    /**
+     * Recompute the smoothed magnitude spectrum after new samples arrive
+     */
+    update() {
+        if (!this.isDirty) return;
+        this.isDirty = false;
+
+        const size = this.fftSize;
+        const real = this.real;
+        const imag = this.imag;
+
+        // Blackman window
+        for (let i = 0; i < size; i++) {
+            const phase = 2 * Math.PI * i / size;
+            real[i] = this.window[i] * (0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase));
+            imag[i] = 0;
+        }
+
+        OfflineAnalyser.fft(real, imag);
+
+        const tau = this.smoothingTimeConstant;
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / size;
+            this.magnitudes[k] = tau * this.magnitudes[k] + (1 - tau) * magnitude;
+        }
+    }
+
+    getFloatFrequencyData(array) {
+        this.update();
+        for (let k = 0; k < array.length; k++) {
+            array[k] = VoiceActivityDetector.amplitudeToDb(this.magnitudes[k]);
+        }
+    }
+
+    getByteFrequencyData(array) {
+        this.update();
+        const range = this.maxDecibels - this.minDecibels;
+        for (let k = 0; k < array.length; k++) {
+            const db = VoiceActivityDetector.amplitudeToDb(this.magnitudes[k]);
+            array[k] = Math.max(0, Math.min(255, Math.floor(255 * (db - this.minDecibels) / range)));
+        }
+    }
+
+    getFloatTimeDomainData(array) {
+        array.set(this.window.subarray(0, array.length));
+    }
+
+    /**
+     * In-place iterative radix-2 FFT
+     * @param {Float64Array} real - Real parts
+     * @param {Float64Array} imag - Imaginary parts
+     */
+    static fft(real, imag) {
+        const size = real.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < size; i++) {
+            let bit = size >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let length = 2; length <= size; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < length / 2; k++) {
+                    const cos = Math.cos(angle * k);
+                    const sin = Math.sin(angle * k);
+                    const evenIndex = start + k;
+                    const oddIndex = evenIndex + length / 2;
+                    const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+                    const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+                    real[oddIndex] = real[evenIndex] - oddReal;
+                    imag[oddIndex] = imag[evenIndex] - oddImag;
+                    real[evenIndex] += oddReal;
+                    imag[evenIndex] += oddImag;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Energy detection engine (default)
+ * Speech when the smoothed level is above the threshold. The probability is
+ * scaled so that the threshold maps to 0.5.
+ */
+class EnergyVADEngine {
+    constructor() {
+        this.name = 'energy';
+        this.requiresFeatures = false;
+    }
+
+    /**
+     * @param {Object} frame - Analysis frame
+     * @returns {number} Speech probability (0-1)
+     */
+    process(frame) {
+        if (frame.threshold <= 0) {
+            return frame.smoothed > 0 ? 1 : 0;
+        }
+        return Math.min(1, 0.5 * frame.smoothed / frame.threshold);
+    }
+}
+
+/**
+ * Spectral detection engine
+ * Energy detection gated by speech-band features, so frames that are loud but
+ * do not look like speech (fans, music, door slams) never count.
+ */
+class SpectralVADEngine extends EnergyVADEngine {
+    constructor() {
+        super();
+        this.name = 'spectral';
+        this.requiresFeatures = true;
+    }
+
+    /**
+     * @param {Object} frame - Analysis frame
+     * @returns {number} Speech probability (0-1)
+     */
+    process(frame) {
+        if (frame.features && !frame.features.isVoiced) {
+            return 0;
+        }
+        return super.process(frame);
+    }
+}
+
+/**
+ * ONNX model detection engine (e.g. Silero VAD via onnxruntime-web)
+ * Audio is resampled to the model rate, queued and fed to the model one window
+ * at a time, in order, so no audio is dropped while an inference is running.
+ * Both the Silero v4 (`h`/`c` inputs) and v5 (`state` input) signatures are
+ * supported; v5 windows are prefixed with the last 64 samples (32 at 8 kHz) of
+ * the previous one, as the model expects.
+ * Use with analysisMode: 'audio' so the model receives contiguous audio.
+ *
+ * @example
+ * await vad.useEngine(new OnnxVADEngine({ modelUrl: '/models/silero_vad.onnx' }));
+ */
+class OnnxVADEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {string} options.modelUrl - URL of the locally hosted .onnx model
+     * @param {Object} options.ort - onnxruntime-web namespace (defaults to window.ort)
+     * @param {number} options.sampleRate - Model sample rate (default 16000)
+     * @param {number} options.windowSize - Samples per inference (default 512)
+     * @param {number} options.maxQueuedWindows - Oldest audio is dropped beyond this backlog (default 16)
+     * @param {Object} options.sessionOptions - Passed to InferenceSession.create
+     */
+    constructor(options = {}) {
+        this.name = 'onnx';
+        this.requiresFeatures = false;
+        this.options = {
+            modelUrl: null,
+            ort: null,
+            sampleRate: 16000,
+            windowSize: 512,
+            maxQueuedWindows: 16,
+            sessionOptions: {},
+            ...options
+        };
+
+        this.ort = null;
+        this.session = null;
+        this.stateTensors = null;
+        this.pending = new Float32Array(0);
+        this.context = new Float32Array(0);
+        this.running = null;
+        this.generation = 0;
+        this.probability = 0;
+    }
+
+    /**
+     * Load the model
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.ort = this.options.ort || (typeof window !== 'undefined' ? window.ort : null);
+        if (!this.ort) {
+            throw new Error('onnxruntime-web not found. Please include ort.min.js or pass options.ort');
+        }
+        if (!this.options.modelUrl) {
+            throw new Error('OnnxVADEngine requires options.modelUrl');
+        }
+
+        this.session = await this.ort.InferenceSession.create(this.options.modelUrl, this.options.sessionOptions);
+        this.reset();
+    }
+
+    /**
+     * Queue a frame and run the model on every complete window
+     * @param {Object} frame - Analysis frame
+     * @returns {Promise<number>|number} Speech probability (0-1) once the queue is drained
+     */
+    process(frame) {
+        if (!this.session || !frame.samples) {
+            return this.probability;
+        }
+
+        const resampled = VoiceActivityDetector.resample(frame.samples, frame.sampleRate, this.options.sampleRate);
+        let queued = new Float32Array(this.pending.length + resampled.length);
+        queued.set(this.pending);
+        queued.set(resampled, this.pending.length);
+
+        // Only drop audio if the model cannot keep up with real time
+        const windowSize = this.options.windowSize;
+        const maxQueued = this.options.maxQueuedWindows * windowSize;
+        if (queued.length > maxQueued) {
+            queued = queued.slice(queued.length - maxQueued);
+        }
+        this.pending = queued;
+
+        if (this.running) {
+            return this.running;
+        }
+        if (queued.length < windowSize) {
+            return this.probability;
+        }
+
+        const running = this.drain().finally(() => {
+            if (this.running === running) {
+                this.running = null;
+            }
+        });
+        this.running = running;
+        return running;
+    }
+
+    /**
+     * Run the model on queued windows, oldest first, until less than a window is left
+     * @returns {Promise<number>} Latest speech probability (0-1)
+     */
+    async drain() {
+        const windowSize = this.options.windowSize;
+        const generation = this.generation;
+
+        while (this.pending.length >= windowSize && this.generation === generation) {
+            const chunk = this.pending.slice(0, windowSize);
+            this.pending = this.pending.slice(windowSize);
+            await this.infer(chunk, generation);
+        }
+
+        return this.probability;
+    }
+
+    /**
+     * Run one inference window
+     * @param {Float32Array} chunk - Samples at the model rate
+     * @param {number} generation - reset() count the window was queued under
+     * @returns {Promise<number>} Speech probability (0-1)
+     */
+    async infer(chunk, generation = this.generation) {
+        const ort = this.ort;
+
+        // Silero v5 expects the tail of the previous window in front of each one
+        let input = chunk;
+        if (this.context.length) {
+            input = new Float32Array(this.context.length + chunk.length);
+            input.set(this.context);
+            input.set(chunk, this.context.length);
+            this.context = chunk.slice(chunk.length - this.context.length);
+        }
+
+        const feeds = {
+            input: new ort.Tensor('float32', input, [1, input.length]),
+            sr: new ort.Tensor('int64', BigInt64Array.from([BigInt(this.options.sampleRate)]), [])
+        };
+        Object.assign(feeds, this.stateTensors);
+
+        const results = await this.session.run(feeds);
+
+        // reset() ran meanwhile - keep the fresh state
+        if (this.generation !== generation) {
+            return this.probability;
+        }
+
+        if (results.stateN) {
+            this.stateTensors = { state: results.stateN };
+        } else {
+            this.stateTensors = { h: results.hn, c: results.cn };
+        }
+
+        this.probability = results.output.data[0];
+        return this.probability;
+    }
+
+    /**
+     * Clear the recurrent state and queued audio
+     */
+    reset() {
+        this.pending = new Float32Array(0);
+        this.context = new Float32Array(0);
+        this.running = null;
+        this.generation++;
+        this.probability = 0;
+
+        if (!this.session) return;
+
+        const ort = this.ort;
+        if (this.session.inputNames.includes('state')) {
+            this.stateTensors = { state: new ort.Tensor('float32', new Float32Array(2 * 128), [2, 1, 128]) };
+            this.context = new Float32Array(this.options.sampleRate === 8000 ? 32 : 64);
+        } else {
+            this.stateTensors = {
+                h: new ort.Tensor('float32', new Float32Array(2 * 64), [2, 1, 64]),
+                c: new ort.Tensor('float32', new Float32Array(2 * 64), [2, 1, 64])
+            };
+        }
+    }
+
+    /**
+     * Release the model session
+     */
+    dispose() {
+        if (this.session && typeof this.session.release === 'function') {
+            this.session.release();
+        }
+        this.session = null;
+        this.stateTensors = null;
+    }
+}
+
+VoiceActivityDetector.VoiceActivityError = VoiceActivityError;
+VoiceActivityDetector.PCMRingBuffer = PCMRingBuffer;
+VoiceActivityDetector.OfflineAnalyser = OfflineAnalyser;
+VoiceActivityDetector.EnergyVADEngine = EnergyVADEngine;
+VoiceActivityDetector.SpectralVADEngine = SpectralVADEngine;
+VoiceActivityDetector.OnnxVADEngine = OnnxVADEngine;
+
+// Frame interval the `smoothing` coefficient is defined for (60 fps)
+VoiceActivityDetector.SMOOTHING_FRAME_MS = 1000 / 60;
+
+// Worklet modules already loaded, keyed by AudioContext
+VoiceActivityDetector.workletModules = new WeakMap();
+
+// Media element source nodes and their contexts, keyed by element - one per element per page
+VoiceActivityDetector.mediaElementSources = new WeakMap();
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VoiceActivityDetector;
@@ -391,6 +3295,8 @@ if (typeof module !== 'undefined' && module.exports) {
 
 if (typeof window !== 'undefined') {
     window.VoiceActivityDetector = VoiceActivityDetector;
+    window.OnnxVADEngine = OnnxVADEngine;
+    window.VoiceActivityError = VoiceActivityError;
 }
 
 // AMD support
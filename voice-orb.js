@@ -23,6 +23,8 @@ class VoiceOrbAdvanced {
         // Initialize core orb
         this.orb = new VoiceOrbCore({
             debug: options.debug || false,
+            // voiceLevel arrives every frame - follow it rather than jump to it
+            voiceSpring: { stiffness: 120 },
             ...options.orb
         });
 
@@ -35,12 +37,37 @@ class VoiceOrbAdvanced {
         // Connection state
         this.isConnected = false;
         this.isVADActive = false;
+        this.isAudioSuspended = false;
+
+        // Hint shown on the orb while audio waits for a user gesture
+        this.tapToEnableText = options.tapToEnableText || 'Tap to enable audio';
+
+        // Interaction mode - 'vad', 'pushToTalk' or 'toggle'. `mode` is accepted as
+        // an alias; at runtime it is setTalkMode(), as setMode() is the orb mode
+        this.talkMode = 'vad';
+        this.talkKey = options.talkKey || 'Space';
+        this.talkTarget = options.talkTarget || null;
+        this.trimSilence = !!options.trimSilence;
+        this.talkBindings = [];
+
+        // Orb mode restored on voiceEnd if the orb is still 'listening'
+        this.idleMode = options.idleMode || 'idle';
+
+        // Detector level (smoothed, 0-1) to orb voice level - same entry format as
+        // VoiceOrbCore's voiceMapping, which then maps voice level to speed/opacity/scale
+        this.levelMapping = {
+            input: [0, 1],
+            output: [0, 3],
+            ...options.levelMapping
+        };
 
         // Setup VAD event handlers if available
         if (this.vad) {
             this.setupVADHandlers();
         }
 
+        this.setTalkMode(options.talkMode || options.mode || 'vad');
+
         this.log('VoiceOrb initialized with VAD:', !!this.vad);
     }
 
@@ -62,23 +89,213 @@ class VoiceOrbAdvanced {
 
         this.vad.on('voiceStart', () => {
             this.orb.play();
+            this.orb.setMode('listening');
             this.log('VAD: Voice detected - starting animation');
         });
 
         this.vad.on('voiceEnd', () => {
+            // Leave modes set by the app meanwhile (e.g. 'thinking') untouched
+            if (this.orb.getMode() === 'listening') {
+                this.orb.setMode(this.idleMode);
+            }
             this.orb.pause();
             this.log('VAD: Voice ended - pausing animation');
         });
 
         this.vad.on('voiceLevel', (data) => {
+            // Keep the "tap to enable" look while the analyser only reads silence
+            if (this.isAudioSuspended) return;
+
             // Update orb based on voice level
-            const level = Math.max(0.1, Math.min(3, data.smoothed * 3));
-            this.orb.setVoiceLevel(level);
+            this.orb.setVoiceLevel(VoiceOrbCore.mapValue(data.smoothed, this.levelMapping));
+        });
+
+        this.vad.on('audioSuspended', () => {
+            this.isAudioSuspended = true;
+            this.setTapToEnable(true);
+            this.vad.resumeOnGesture();
+            this.log('VAD: Audio suspended - waiting for a user gesture');
+        });
+
+        this.vad.on('audioResumed', () => {
+            this.isAudioSuspended = false;
+            this.setTapToEnable(false);
+            this.log('VAD: Audio resumed');
+        });
+
+        this.vad.on('deviceLost', () => {
+            this.isConnected = false;
+            this.isVADActive = false;
+            this.log('VAD: Input device lost');
+        });
+
+        this.vad.on('deviceChanged', () => {
+            const state = this.vad.getState();
+            this.isConnected = state.isConnected;
+            this.isVADActive = state.isActive;
+            this.log('VAD: Input device changed');
         });
     }
 
+    /**
+     * Set the interaction mode
+     * - vad: voice activity detection starts and ends speech (default)
+     * - pushToTalk: speech lasts while `talkKey` or `talkTarget` is held
+     * - toggle: `talkKey` or a click on `talkTarget` starts and ends speech
+     * All modes emit the same voiceStart/voiceEnd events. With `trimSilence`
+     * the VAD still runs inside the talk window to drop leading/trailing silence.
+     * @param {string} mode - 'vad', 'pushToTalk' or 'toggle'
+     * @returns {boolean} Success status
+     */
+    setTalkMode(mode) {
+        if (!['vad', 'pushToTalk', 'toggle'].includes(mode)) {
+            this.log('Invalid talk mode:', mode);
+            return false;
+        }
+
+        if (this.vad && this.vad.state.isGateOpen) {
+            this.vad.setGate(false);
+        }
+
+        this.talkMode = mode;
+        if (this.vad) {
+            this.vad.updateConfig({ gateMode: this.getGateMode() });
+        }
+
+        this.unbindTalkControls();
+        if (mode !== 'vad') {
+            this.bindTalkControls();
+        }
+
+        this.log('Talk mode set to:', mode);
+        return true;
+    }
+
+    /**
+     * Get the VAD gate mode for the current interaction mode
+     * @returns {string|null} Gate mode
+     */
+    getGateMode() {
+        if (this.talkMode === 'vad') return null;
+        return this.trimSilence ? 'manualVad' : 'manual';
+    }
+
+    /**
+     * Start talking (push-to-talk press or toggle on)
+     * @returns {boolean} Success status
+     */
+    startTalking() {
+        if (this.talkMode === 'vad' || !this.vad || !this.isVADActive) return false;
+        return this.vad.setGate(true);
+    }
+
+    /**
+     * Stop talking (push-to-talk release or toggle off)
+     * @returns {boolean} Success status
+     */
+    stopTalking() {
+        if (this.talkMode === 'vad' || !this.vad) return false;
+        return this.vad.setGate(false);
+    }
+
+    /**
+     * Toggle talking on or off
+     * @returns {boolean} Success status
+     */
+    toggleTalking() {
+        if (!this.vad) return false;
+        return this.vad.state.isGateOpen ? this.stopTalking() : this.startTalking();
+    }
+
+    /**
+     * Bind keyboard and pointer controls for pushToTalk/toggle modes
+     */
+    bindTalkControls() {
+        if (typeof document === 'undefined') return;
+
+        const listen = (target, event, handler) => {
+            target.addEventListener(event, handler);
+            this.talkBindings.push(() => target.removeEventListener(event, handler));
+        };
+
+        // Don't hijack the key while the user is typing
+        const isTyping = (event) => {
+            const element = event.target;
+            return element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+        };
+
+        if (this.talkKey) {
+            listen(document, 'keydown', (event) => {
+                if (event.code !== this.talkKey || event.repeat || isTyping(event)) return;
+                event.preventDefault();
+                if (this.talkMode === 'toggle') {
+                    this.toggleTalking();
+                } else {
+                    this.startTalking();
+                }
+            });
+
+            listen(document, 'keyup', (event) => {
+                if (event.code !== this.talkKey || this.talkMode !== 'pushToTalk') return;
+                this.stopTalking();
+            });
+        }
+
+        const target = typeof this.talkTarget === 'string' ?
+            document.getElementById(this.talkTarget) : this.talkTarget;
+        if (target) {
+            if (this.talkMode === 'toggle') {
+                listen(target, 'click', () => this.toggleTalking());
+            } else {
+                listen(target, 'pointerdown', () => this.startTalking());
+                ['pointerup', 'pointerleave', 'pointercancel'].forEach((event) => {
+                    listen(target, event, () => this.stopTalking());
+                });
+            }
+        }
+
+        // Releasing outside the window never fires keyup/pointerup
+        if (this.talkMode === 'pushToTalk' && typeof window !== 'undefined') {
+            listen(window, 'blur', () => this.stopTalking());
+        }
+    }
+
+    /**
+     * Remove keyboard and pointer controls
+     */
+    unbindTalkControls() {
+        this.talkBindings.forEach(unbind => unbind());
+        this.talkBindings = [];
+    }
+
+    /**
+     * Show or hide the "tap to enable" state on the orb
+     * Adds the `voice-orb-suspended` class and a hint to the player element
+     * so pages can style it, and dims the orb until audio resumes.
+     * @param {boolean} suspended - Whether audio is waiting for a gesture
+     */
+    setTapToEnable(suspended) {
+        const player = this.orb.player;
+        if (!player) return;
+
+        player.classList.toggle('voice-orb-suspended', suspended);
+        if (suspended) {
+            player.setAttribute('title', this.tapToEnableText);
+            player.setAttribute('aria-label', this.tapToEnableText);
+            player.style.cursor = 'pointer';
+            this.orb.setOpacity(this.orb.config.minOpacity / 2);
+        } else {
+            player.removeAttribute('title');
+            player.removeAttribute('aria-label');
+            player.style.cursor = '';
+            this.orb.setOpacity(this.orb.config.maxOpacity);
+        }
+    }
+
     /**
      * Connect microphone and enable VAD
+     * On failure the typed reason is in getState().error; pass
+     * `{ rejectOnError: true }` to reject with a VoiceActivityError instead.
      * @param {Object} vadOptions - VAD configuration options
      * @returns {Promise<boolean>} Success status
      */
@@ -90,6 +307,7 @@ class VoiceOrbAdvanced {
                 ...vadOptions
             });
             this.setupVADHandlers();
+            this.vad.updateConfig({ gateMode: this.getGateMode() });
         }
 
         // Update VAD configuration
@@ -107,11 +325,26 @@ class VoiceOrbAdvanced {
                 this.log('Microphone connected and VAD active');
                 return true;
             }
+        } else {
+            this.log('Microphone connection failed:', this.vad.getState().error);
         }
 
         return false;
     }
 
+    /**
+     * Switch the microphone to another input device
+     * @param {string|null} deviceId - Input device ID, or null for the default
+     * @returns {Promise<boolean>} Success status
+     */
+    async switchDevice(deviceId) {
+        if (!this.vad || !this.isConnected) {
+            this.log('Cannot switch device: not connected');
+            return false;
+        }
+        return await this.vad.switchDevice(deviceId);
+    }
+
     /**
      * Disconnect microphone and disable VAD
      */
@@ -120,6 +353,10 @@ class VoiceOrbAdvanced {
             this.vad.disconnect();
             this.isConnected = false;
             this.isVADActive = false;
+            if (this.isAudioSuspended) {
+                this.isAudioSuspended = false;
+                this.setTapToEnable(false);
+            }
             this.log('Microphone disconnected');
         }
     }
@@ -173,11 +410,14 @@ class VoiceOrbAdvanced {
     }
 
     // Direct pass-through methods
-    setSpeed(speed) { return this.orb.setSpeed(speed); }
+    setSpeed(speed, options) { return this.orb.setSpeed(speed, options); }
     setLoop(loop) { return this.orb.setLoop(loop); }
-    setOpacity(opacity) { return this.orb.setOpacity(opacity); }
+    setOpacity(opacity, options) { return this.orb.setOpacity(opacity, options); }
 
-    setVoiceLevel(level) {
+    setMode(mode) { return this.orb.setMode(mode); }
+    getMode() { return this.orb.getMode(); }
+
+    setVoiceLevel(level, options) {
         if (this.isVADActive) {
             // Temporarily disable VAD for manual control
             this.vad.stop();
@@ -185,7 +425,7 @@ class VoiceOrbAdvanced {
                 if (this.isConnected) this.vad.start();
             }, 2000);
         }
-        return this.orb.setVoiceLevel(level);
+        return this.orb.setVoiceLevel(level, options);
     }
 
     // State and configuration getters
@@ -193,11 +433,19 @@ class VoiceOrbAdvanced {
         return {
             orb: this.orb.getState(),
             vad: this.vad ? this.vad.getState() : null,
+            stats: this.vad ? this.vad.getStats() : null,
             isConnected: this.isConnected,
-            isVADActive: this.isVADActive
+            isVADActive: this.isVADActive,
+            isAudioSuspended: this.isAudioSuspended,
+            talkMode: this.talkMode,
+            isTalking: this.vad ? this.vad.state.isGateOpen : false,
+            error: this.vad ? this.vad.getState().error : null
         };
     }
 
+    getStats() { return this.vad ? this.vad.getStats() : null; }
+    resetStats() { if (this.vad) this.vad.resetStats(); }
+
     getConfig() {
         return {
             orb: this.orb.getConfig(),
@@ -220,6 +468,7 @@ class VoiceOrbAdvanced {
 
     // Cleanup
     destroy() {
+        this.unbindTalkControls();
         this.orb.destroy();
         if (this.vad) {
             this.vad.destroy();